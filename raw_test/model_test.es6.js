@@ -2,8 +2,63 @@ import Builder from "../src/Builder";
 import Model from "../src/Model";
 import DuplicateVariableException from "../src/DuplicateVariableException";
 import UnknownVariableException from "../src/UnknownVariableException";
+import UnknownOperatorException from "../src/UnknownOperatorException";
+import MemoryTransport from "../src/transports/MemoryTransport";
+import FetchTransport from "../src/transports/FetchTransport";
+import HttpException from "../src/HttpException";
+import RequestAbortedException from "../src/RequestAbortedException";
+import NotFoundException from "../src/NotFoundException";
+import AuthorizationException from "../src/AuthorizationException";
+import ServerException from "../src/ServerException";
+import NetworkException from "../src/NetworkException";
+import JsModelException from "../src/JsModelException";
+import ModelNotPersistedException from "../src/ModelNotPersistedException";
+import HasMany from "../src/relations/HasMany";
+import Caster from "../src/casts/Caster";
+import DateCaster from "../src/casts/DateCaster";
+import ValidationException from "../src/ValidationException";
+import RouteMap from "../src/RouteMap";
+import ResponseCache from "../src/ResponseCache";
+import RetryPolicy from "../src/RetryPolicy";
+import Pagination from "../src/Pagination";
+import OfflineQueue from "../src/offline/OfflineQueue";
+import MemoryQueueStore from "../src/offline/MemoryQueueStore";
+import LocalStorageQueueStore from "../src/offline/LocalStorageQueueStore";
 import chai from "chai/chai";
 
+/**
+ * The transport that mock models send their requests through; a new one is created before each test.
+ *
+ * @type {MemoryTransport|null}
+ */
+let transport = null;
+
+setup(function () {
+    transport = new MemoryTransport();
+});
+
+/**
+ * Creates a model class with a url, whose instances send their requests through the transport of the current test.
+ *
+ * @param {String} url
+ * @returns {Function}
+ */
+function mockModel(url)
+{
+    return class extends Model {
+        constructor(data = {}) {
+            super(data);
+            this.url = url;
+            this.transport = transport;
+        }
+    };
+}
+
+/**
+ * A model that sends its requests to "/mock_url" through the transport of the current test.
+ */
+class MockModel extends mockModel('/mock_url') {}
+
 suite('Model', function() {
 
     // ORDER BY
@@ -234,6 +289,50 @@ suite('Builder', function() {
     });
 
 
+    test('test_where_with_multiple_values', function () {
+        let builder = (new Builder({})).setLimit(-1);
+        builder.where('mock', [1, 2]);
+        chai.assert.equal(builder.toQueryString(), '?filters[mock][]=1&filters[mock][]=2&limit=-1&page=1');
+    });
+    test('test_without_pagination_omits_the_limit_and_page', function () {
+        let builder = (new Builder({})).where('mock', 1).withoutPagination();
+        chai.assert.equal(builder.toQueryString(), '?filters[mock][]=1');
+        chai.assert.equal(builder.getLimit(), -1);
+    });
+    test('test_where_with_operators', function () {
+        let builder = new Builder({});
+        builder.where('age', '>=', 18).where('age', '<', 65).where('name', '!=', 'mock');
+        chai.assert.equal(builder.toQueryString(), '?filters[age][gte]=18&filters[age][lt]=65&filters[name][ne]=mock&limit=15&page=1');
+    });
+    test('test_model_where_forwards_operators', function () {
+        let builder = (new Model()).where('age', '>', 18);
+        chai.assert.equal(builder.toQueryString(), '?filters[age][gt]=18&limit=15&page=1');
+    });
+    test('test_where_in_uses_the_equality_format', function () {
+        let builder = (new Builder({})).whereIn('id', [1, 2]);
+        chai.assert.equal(builder.toQueryString(), '?filters[id][]=1&filters[id][]=2&limit=15&page=1');
+    });
+    test('test_where_helpers', function () {
+        let builder = (new Builder({}))
+            .whereNotIn('status', ['a', 'b'])
+            .whereBetween('total', [1, 10])
+            .whereNull('deleted_at')
+            .whereNotNull('email')
+            .whereLike('name', 'mo%');
+        chai.assert.equal(builder.toQueryString(), '?filters[status][not_in][]=a&filters[status][not_in][]=b'
+            + '&filters[total][between][]=1&filters[total][between][]=10&filters[deleted_at][null]=1'
+            + '&filters[email][not_null]=1&filters[name][like]=mo%25&limit=15&page=1');
+    });
+    test('test_where_replaces_conditions_with_the_same_operator', function () {
+        let builder = (new Builder({})).where('mock', 1).where('mock', 2).where('mock', '>', 0);
+        chai.assert.equal(builder.getConstraintValue('mock', '='), 2);
+        chai.assert.equal(builder.getConstraintValue('mock', '>'), 0);
+    });
+    test('test_where_throws_for_unknown_operators', function () {
+        chai.assert.throws(() => (new Builder({})).where('mock', '~', 1), UnknownOperatorException);
+    });
+
+
     // CONSTRAINTS
     test('test_has_constraint', function () {
         let builder = new Builder({});
@@ -257,4 +356,1413 @@ suite('Builder', function() {
         builder.getConstraintValue(mock_constraint_name).mock = 'not mock';
         chai.assert.equal(JSON.stringify(builder.getConstraintValue(mock_constraint_name)), JSON.stringify(mock_constraint_value));
     });
-});
\ No newline at end of file
+});
+
+suite('Transport', function() {
+
+    // SENDING
+    test('test_builder_sends_queries_through_the_model_transport', function (done) {
+        transport.on('GET', '/mock_url', {status: 200, data: {data: [{id: 1}]}});
+        let model = new MockModel();
+        model.where('mock_filter', 'mock_value').get(function () {
+            let request = transport.lastRequest();
+            chai.assert.equal(request.method, 'GET');
+            chai.assert.equal(request.url, '/mock_url?filters[mock_filter][]=mock_value&limit=15&page=1');
+            chai.assert.equal(JSON.stringify(request.headers), JSON.stringify({Accept: "application/json"}));
+            done();
+        });
+    });
+    test('test_builder_sends_inserts_to_the_store_url', function (done) {
+        transport.on('POST', '/mock_url/store', {status: 200, data: {id: 1}});
+        let model = new MockModel();
+        model.query().insert({mock_attr: 'mock_value'}, function () {
+            chai.assert.equal(transport.lastRequest().method, 'POST');
+            chai.assert.equal(JSON.stringify(transport.lastRequest().data), JSON.stringify({mock_attr: 'mock_value'}));
+            done();
+        });
+    });
+    test('test_memory_transport_responds_with_not_found_for_unknown_routes', function () {
+        return (new MemoryTransport()).send({method: 'GET', url: '/unknown', headers: {}}).then(function (response) {
+            chai.assert.equal(response.status, 404);
+        });
+    });
+    test('test_memory_transport_responds_with_copies_of_its_responses', function () {
+        transport.on('POST', '/mock_url/update', {data: {data: [{id: 1, name: 'mock'}]}});
+        let model = new MockModel();
+        return model.query().update({name: 'mock'}).then(function () {
+            return model.query().update({name: 'mock'});
+        }).then(function (models) {
+            chai.assert.equal(models.first().id, 1);
+            chai.assert.deepEqual(transport.routes[0].response.data, {data: [{id: 1, name: 'mock'}]});
+        });
+    });
+    test('test_the_default_transport_is_a_fetch_transport_unless_one_is_set', function () {
+        let original = Model.getDefaultTransport();
+        chai.assert.instanceOf(original, FetchTransport);
+        Model.setDefaultTransport(transport);
+        chai.assert.equal((new Model()).getTransport(), transport);
+        Model.setDefaultTransport(original);
+    });
+    test('test_models_use_the_default_transport_unless_they_define_their_own', function () {
+        let model = new Model();
+        chai.assert.equal(model.getTransport(), Model.getDefaultTransport());
+        model.transport = new MemoryTransport();
+        chai.assert.equal(model.getTransport(), model.transport);
+    });
+});
+
+suite('Promises', function() {
+
+    test('test_get_resolves_with_a_collection', function () {
+        transport.on('GET', '/mock_url', {data: {data: [{id: 1}, {id: 2}]}});
+        return new MockModel().all().then(function (collection) {
+            chai.assert.equal(collection.first().id, 1);
+        });
+    });
+    test('test_get_rejects_with_a_structured_error', function () {
+        transport.on('GET', '/mock_url', {status: 422, data: {message: 'mock'}});
+        return new MockModel().all().then(function () {
+            chai.assert.fail();
+        }, function (exception) {
+            chai.assert.instanceOf(exception, HttpException);
+            chai.assert.equal(exception.status, 422);
+            chai.assert.equal(exception.response.data.message, 'mock');
+            chai.assert.equal(exception.request.method, 'GET');
+        });
+    });
+    test('test_get_rejects_a_successful_response_without_a_body', function () {
+        transport.on('GET', '/mock_url', {status: 200, data: null});
+        return new MockModel().all().then(function () {
+            chai.assert.fail();
+        }, function (exception) {
+            chai.assert.instanceOf(exception, HttpException);
+            chai.assert.equal(exception.status, 200);
+            chai.assert.equal(exception.request.method, 'GET');
+        });
+    });
+    test('test_legacy_callbacks_are_still_called', function (done) {
+        transport.on('GET', '/mock_url', {status: 500});
+        new MockModel().all(null, function (exception, code) {
+            chai.assert.equal(code, 500);
+            done();
+        });
+    });
+    test('test_save_resolves_with_the_model', function () {
+        transport.on('POST', '/mock_url/store', {data: {id: 5, name: 'mock'}});
+        let model = new MockModel();
+        model.hydrate({name: 'mock'});
+        return model.save().then(function (result) {
+            chai.assert.equal(result, model);
+            chai.assert.equal(model.exists, true);
+            chai.assert.equal(model.syncing, false);
+        });
+    });
+});
+
+suite('Relations', function() {
+
+    class Customer extends mockModel('/customers') {}
+
+    class LineItem extends mockModel('/line_items') {}
+
+    class Order extends mockModel('/orders') {
+        lineItems() {
+            return this.hasMany(LineItem, 'order_id');
+        }
+
+        customer() {
+            return this.belongsTo(Customer, 'customer_id');
+        }
+    }
+
+    test('test_has_many_returns_a_constrained_builder', function () {
+        let relation = (new Order({id: 7})).lineItems();
+        chai.assert.instanceOf(relation, HasMany);
+        chai.assert.instanceOf(relation, Builder);
+        chai.assert.equal(relation.getConstraintValue('order_id'), 7);
+    });
+    test('test_belongs_to_is_constrained_by_the_foreign_key', function () {
+        let relation = (new Order({id: 7, customer_id: 3})).customer();
+        chai.assert.equal(relation.getConstraintValue('id'), 3);
+    });
+    test('test_nested_data_is_hydrated_into_related_models', function () {
+        let order = new Order({id: 7, customer: {id: 3}, line_items: [{id: 1, order_id: 7}]});
+        chai.assert.instanceOf(order.getRelation('customer'), Customer);
+        chai.assert.instanceOf(order.getRelation('lineItems').first(), LineItem);
+        chai.assert.equal(order.line_items.first().id, 1);
+        chai.assert.equal(order.attributes.customer, undefined);
+    });
+    test('test_saving_through_a_relation_sets_the_foreign_key', function () {
+        transport.on('POST', '/line_items/store', (request) => ({data: request.data}));
+        let item = new LineItem();
+        return (new Order({id: 7})).lineItems().save(item).then(function () {
+            chai.assert.equal(transport.lastRequest().data.order_id, 7);
+            chai.assert.equal(item.order_id, 7);
+        });
+    });
+
+    // EAGER LOADING
+    test('test_with_is_serialized_into_the_query_string', function () {
+        let builder = (new Builder({})).with('customer', 'lineItems.product');
+        chai.assert.equal(builder.toQueryString(), '?limit=15&page=1&with[]=customer&with[]=lineItems.product');
+    });
+    test('test_separate_strategy_batch_fetches_related_models_by_key', function () {
+        transport
+            .on('GET', '/orders', {data: {data: [{id: 1, customer_id: 3}, {id: 2, customer_id: 4}]}})
+            .on('GET', '/customers', {data: {data: [{id: 3}, {id: 4}]}});
+        return (new Order()).with('customer').eagerLoadUsing('separate').get().then(function (orders) {
+            chai.assert.equal(transport.lastRequest().url, '/customers?filters[id][]=3&filters[id][]=4');
+            chai.assert.equal(orders.first().getRelation('customer').id, 3);
+        });
+    });
+});
+
+suite('Casts', function() {
+
+    test('test_dates_are_cast_to_native_dates_by_default', function () {
+        let model = new Model({created_at: '2016-07-01T12:00:00.000Z'});
+        chai.assert.instanceOf(model.created_at, Date);
+        chai.assert.equal(model.created_at.getTime(), Date.parse('2016-07-01T12:00:00.000Z'));
+    });
+    test('test_dates_are_stored_as_strings_when_set', function () {
+        let model = new Model({created_at: null});
+        model.created_at = new Date(Date.parse('2016-07-01T12:00:00.000Z'));
+        chai.assert.equal(model.attributes.created_at, '2016-07-01T12:00:00.000Z');
+    });
+    test('test_date_factory_can_be_replaced', function () {
+        DateCaster.useFactory((value) => ({wrapped: value}));
+        try {
+            chai.assert.equal((new Model({created_at: 'mock'})).created_at.wrapped, 'mock');
+        } finally {
+            DateCaster.useFactory(null);
+        }
+    });
+    test('test_named_casts_are_applied_when_reading_and_writing', function () {
+        let model = new Model();
+        model.casts = {count: 'integer', active: 'boolean', options: 'json'};
+        model.hydrate({count: '5', active: '0', options: '{"mock":1}'});
+        chai.assert.strictEqual(model.count, 5);
+        chai.assert.strictEqual(model.active, false);
+        chai.assert.equal(model.options.mock, 1);
+        model.options = {mock: 2};
+        chai.assert.equal(model.attributes.options, '{"mock":2}');
+    });
+    test('test_json_casts_encode_strings', function () {
+        let model = new Model();
+        model.casts = {options: 'json'};
+        model.setAttribute('options', 'hello');
+        chai.assert.equal(model.attributes.options, '"hello"');
+        chai.assert.equal(model.getAttribute('options'), 'hello');
+        model.hydrate({options: 'not json'});
+        chai.assert.equal(model.getAttribute('options'), 'not json');
+    });
+    test('test_json_casts_read_back_strings_that_contain_json', function () {
+        let model = new Model();
+        model.casts = {options: 'json'};
+        ['true', '123', 'null'].forEach(function (value) {
+            model.setAttribute('options', value);
+            chai.assert.strictEqual(model.getAttribute('options'), value);
+        });
+    });
+    test('test_json_casts_are_encoded_once_when_saved', function () {
+        transport.on('POST', '/mock_url/store', (request) => ({data: request.data}));
+        let model = new MockModel();
+        model.casts = {options: 'json'};
+        model.setAttribute('options', {mock: 1});
+        return model.save().then(function () {
+            chai.assert.equal(transport.lastRequest().data.options, '{"mock":1}');
+            chai.assert.equal(model.options.mock, 1);
+        });
+    });
+    test('test_array_casts_wrap_strings_that_are_not_json', function () {
+        let model = new Model({tags: '[not json'});
+        model.casts = {tags: 'array'};
+        chai.assert.deepEqual(model.tags, ['[not json']);
+    });
+    test('test_custom_caster_classes_can_be_used', function () {
+        class UpperCaster extends Caster {
+            get(value) {
+                return value.toUpperCase();
+            }
+            set(value) {
+                return value.toLowerCase();
+            }
+        }
+        let model = new Model();
+        model.casts = {name: UpperCaster};
+        model.hydrate({name: 'mock'});
+        chai.assert.equal(model.name, 'MOCK');
+        model.name = 'OTHER';
+        chai.assert.equal(model.attributes.name, 'other');
+    });
+});
+
+suite('Validation', function() {
+
+    test('test_save_is_rejected_without_sending_when_rules_fail', function () {
+        let model = new MockModel({name: 'ab', email: 'mock'});
+        model.rules = {
+            name: ['required', 'type:string', 'min:3'],
+            email: [/@/],
+            age: 'required',
+            code: (value) => value === undefined || 'mock message'
+        };
+        return model.save().then(function () {
+            chai.assert.fail();
+        }, function (exception) {
+            chai.assert.instanceOf(exception, ValidationException);
+            chai.assert.equal(transport.requests.length, 0);
+            chai.assert.equal(model.errors.first('name'), 'The name must be at least 3.');
+            chai.assert.equal(model.errors.has('email'), true);
+            chai.assert.equal(model.errors.first('age'), 'The age field is required.');
+            chai.assert.equal(model.errors.has('code'), false);
+        });
+    });
+    test('test_validate_clears_previous_errors', function () {
+        let model = new Model();
+        model.rules = {name: 'required'};
+        chai.assert.equal(model.validate(), false);
+        model.setAttribute('name', 'mock');
+        chai.assert.equal(model.validate(), true);
+        chai.assert.equal(model.errors.any(), false);
+    });
+    test('test_server_validation_errors_are_placed_in_the_error_bag', function () {
+        transport
+            .on('POST', '/mock_url/store', {status: 422, data: {message: 'invalid', errors: {name: ['Taken.']}}});
+        let model = new MockModel({name: 'mock'});
+        return model.save().then(function () {
+            chai.assert.fail();
+        }, function (exception) {
+            chai.assert.instanceOf(exception, ValidationException);
+            chai.assert.equal(exception.errors.first('name'), 'Taken.');
+            chai.assert.equal(model.errors.first('name'), 'Taken.');
+        });
+    });
+});
+
+suite('Events', function() {
+
+    class Note extends mockModel('/notes') {}
+
+    teardown(function () {
+        Note.off();
+    });
+
+    test('test_save_fires_events_in_order', function () {
+        let fired = [];
+        Note.observe({
+            saving: () => fired.push('class:saving'),
+            saved: () => fired.push('class:saved')
+        });
+        transport.on('POST', '/notes/store', {data: {id: 1}});
+        let note = new Note();
+        note.on('creating', () => fired.push('creating')).on('created', () => fired.push('created'));
+        return note.save().then(function () {
+            chai.assert.equal(JSON.stringify(fired), JSON.stringify(['class:saving', 'creating', 'created', 'class:saved']));
+        });
+    });
+    test('test_a_before_hook_returning_false_cancels_the_operation', function () {
+        Note.on('saving', () => false);
+        let note = new Note();
+        return note.save().then(function (result) {
+            chai.assert.equal(result, false);
+            chai.assert.equal(transport.requests.length, 0);
+            chai.assert.equal(note.syncing, false);
+        });
+    });
+    test('test_class_listeners_are_not_shared_with_other_classes', function () {
+        let fired = 0;
+        Note.on('hydrated', () => ++fired);
+        new Model({mock: 1});
+        new Note({mock: 1});
+        chai.assert.equal(fired, 1);
+    });
+});
+
+suite('Dirty tracking', function() {
+
+    test('test_changes_within_nested_values_are_detected', function () {
+        let model = new Model({options: {colours: ['red']}, name: 'mock'});
+        chai.assert.equal(model.isDirty(), false);
+        model.options.colours.push('blue');
+        chai.assert.equal(model.isDirty('options'), true);
+        chai.assert.equal(model.isDirty('name'), false);
+        chai.assert.equal(JSON.stringify(Object.keys(model.dirty())), JSON.stringify(['options']));
+    });
+    test('test_equal_nested_values_are_not_dirty', function () {
+        let model = new Model({options: {mock: [1, 2]}});
+        model.options = {mock: [1, 2]};
+        chai.assert.equal(model.isDirty(), false);
+    });
+    test('test_get_changes_returns_old_and_new_values', function () {
+        let model = new Model({name: 'old'});
+        model.name = 'new';
+        chai.assert.equal(JSON.stringify(model.getChanges()), JSON.stringify({name: {old: 'old', new: 'new'}}));
+    });
+    test('test_to_json_patch', function () {
+        let model = new Model({name: 'old', options: {a: 1, b: [1, 2]}});
+        model.name = 'new';
+        model.options = {a: 1, b: [1], c: 'x/y'};
+        chai.assert.equal(JSON.stringify(model.toJsonPatch()), JSON.stringify([
+            {op: 'replace', path: '/name', value: 'new'},
+            {op: 'remove', path: '/options/b/1'},
+            {op: 'add', path: '/options/c', value: 'x/y'}
+        ]));
+    });
+    test('test_to_json_patch_removes_attributes', function () {
+        let model = new Model({name: 'old', 'a/b': 1});
+        delete model.attributes['a/b'];
+        model.name = 'new';
+        chai.assert.equal(JSON.stringify(model.toJsonPatch()), JSON.stringify([
+            {op: 'remove', path: '/a~1b'},
+            {op: 'replace', path: '/name', value: 'new'}
+        ]));
+    });
+    test('test_was_changed_reflects_the_last_save', function () {
+        transport.on('POST', '/mock_url/update', {data: {data: []}});
+        let model = new MockModel({id: 1, name: 'old'});
+        model.exists = true;
+        model.name = 'new';
+        return model.save().then(function () {
+            chai.assert.equal(model.wasChanged('name'), true);
+            chai.assert.equal(model.wasChanged('id'), false);
+            chai.assert.equal(model.isDirty(), false);
+        });
+    });
+});
+
+suite('Primary keys', function() {
+
+    test('test_update_reconciles_the_response_using_the_primary_key', function () {
+        transport.on('POST', '/mock_url/update', {data: {data: [{id: 1, name: 'other'}, {id: 2, name: 'server'}]}});
+        let model = new MockModel({id: 2, name: 'old'});
+        model.exists = true;
+        model.name = 'new';
+        return model.save().then(function () {
+            chai.assert.equal(model.name, 'server');
+        });
+    });
+    test('test_composite_keys_constrain_updates_by_every_part', function () {
+        transport.on('POST', '/mock_url/update', {data: {data: []}});
+        let model = new MockModel({order_id: 1, line: 2, quantity: 1});
+        model.primary_key = ['order_id', 'line'];
+        model.primary_filter = ['order', 'line'];
+        model.exists = true;
+        model.quantity = 5;
+        chai.assert.equal(JSON.stringify(model.getKey()), JSON.stringify({order_id: 1, line: 2}));
+        return model.save().then(function () {
+            chai.assert.equal(transport.lastRequest().url, '/mock_url/update?filters[order][]=1&filters[line][]=2&limit=15&page=1');
+            chai.assert.equal(JSON.stringify(transport.lastRequest().data), JSON.stringify({quantity: 5, order_id: 1, line: 2}));
+        });
+    });
+    test('test_composite_keys_are_filtered_by_name_without_a_primary_filter', function () {
+        transport.on('GET', '/mock_url', {data: {data: []}});
+        let model = new MockModel();
+        model.primary_key = ['order_id', 'line'];
+        chai.assert.deepEqual(model.getKeyFilters(), ['order_id', 'line']);
+        return model.find({order_id: 1, line: 2}).then(function () {
+            chai.assert.equal(transport.lastRequest().url, '/mock_url?filters[order_id][]=1&filters[line][]=2&limit=15&page=1');
+        });
+    });
+    test('test_client_generated_keys_are_sent_on_insert', function () {
+        transport.on('POST', '/mock_url/store', (request) => ({data: request.data}));
+        let model = new MockModel({name: 'mock'});
+        model.incrementing = false;
+        return model.save().then(function () {
+            chai.assert.match(transport.lastRequest().data.id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+            chai.assert.equal(model.id, transport.lastRequest().data.id);
+        });
+    });
+});
+
+suite('Routes', function() {
+
+    test('test_classic_routes_match_the_original_urls', function () {
+        let routes = RouteMap.classic();
+        chai.assert.equal(JSON.stringify(routes.build('update', {url: '/mock'}, '?q')), JSON.stringify({method: 'POST', url: '/mock/update?q'}));
+        chai.assert.equal(JSON.stringify(routes.build('store', {url: '/mock'}, '?q')), JSON.stringify({method: 'POST', url: '/mock/store'}));
+        chai.assert.equal(JSON.stringify(routes.build('destroy', {url: '/mock'}, '?q')), JSON.stringify({method: 'POST', url: '/mock/delete?q'}));
+    });
+    test('test_rest_routes_use_the_id_placeholder', function () {
+        let routes = RouteMap.rest();
+        chai.assert.equal(JSON.stringify(routes.build('destroy', {url: '/mock', id: 5})), JSON.stringify({method: 'DELETE', url: '/mock/5'}));
+        chai.assert.equal(routes.build('update', {url: '/mock'}).url, '/mock');
+    });
+    test('test_rest_routes_for_a_single_resource_do_not_send_the_query_string', function () {
+        let routes = RouteMap.rest();
+        chai.assert.equal(routes.build('update', {url: '/mock', id: 5}, '?filters[id][]=5&limit=15&page=1').url, '/mock/5');
+        chai.assert.equal(routes.build('destroy', {url: '/mock', id: 5}, '?filters[id][]=5&limit=15&page=1').url, '/mock/5');
+        chai.assert.equal(routes.build('update', {url: '/mock'}, '?filters[active][]=1').url, '/mock?filters[active][]=1');
+    });
+    test('test_model_urls_can_contain_parent_placeholders', function () {
+        transport.on('DELETE', '/orders/7/items/3', {data: [{id: 3, order_id: 7}]});
+        let model = new (mockModel('/orders/{order_id}/items'))({id: 3, order_id: 7});
+        model.exists = true;
+        model.routes = {destroy: {method: 'DELETE', url: '{url}/{id}', query: false}};
+        return model.deleteModel().then(function () {
+            chai.assert.equal(transport.lastRequest().method, 'DELETE');
+            chai.assert.equal(transport.lastRequest().url, '/orders/7/items/3');
+        });
+    });
+    test('test_filtered_queries_from_a_persisted_model_are_not_sent_to_its_url', function () {
+        transport
+            .on('PATCH', '/mock_url', {data: {data: [{id: 4, status: 'closed'}]}})
+            .on('PATCH', '/mock_url/3', {data: {data: [{id: 3, status: 'closed'}]}});
+        let model = new MockModel({id: 3, status: 'open'});
+        model.exists = true;
+        model.routes = 'rest';
+        return model.query().where('status', 'open').update({status: 'closed'}).then(function () {
+            chai.assert.equal(transport.lastRequest().url, '/mock_url?filters[status][]=open&limit=15&page=1');
+            return model.save();
+        }).then(function () {
+            chai.assert.equal(transport.lastRequest().url, '/mock_url/3');
+        });
+    });
+});
+
+suite('Query groups', function() {
+
+    /**
+     * Builds the query (status = open OR status = pending) AND owner = me.
+     *
+     * @returns {Builder}
+     */
+    function mockQuery() {
+        return (new Builder(new Model()))
+            .where((q) => q.where('status', 'open').orWhere('status', 'pending'))
+            .where('owner', 'me');
+    }
+
+    test('test_groups_are_serialized_as_a_nested_structure', function () {
+        let builder = mockQuery().setLimit(-1);
+        chai.assert.equal(builder.toQueryString(), '?filters[$where][0][boolean]=and'
+            + '&filters[$where][0][group][0][boolean]=and&filters[$where][0][group][0][filter]=status'
+            + '&filters[$where][0][group][0][operator]=eq&filters[$where][0][group][0][value]=open'
+            + '&filters[$where][0][group][1][boolean]=or&filters[$where][0][group][1][filter]=status'
+            + '&filters[$where][0][group][1][operator]=eq&filters[$where][0][group][1][value]=pending'
+            + '&filters[$where][1][boolean]=and&filters[$where][1][filter]=owner'
+            + '&filters[$where][1][operator]=eq&filters[$where][1][value]=me&limit=-1&page=1');
+    });
+    test('test_or_where_does_not_replace_conditions', function () {
+        let builder = (new Builder({})).where('status', 'open').orWhere('status', 'pending');
+        chai.assert.equal(builder.getConstraints().length, 2);
+    });
+    test('test_groups_are_evaluated_in_memory', function () {
+        let query = mockQuery();
+        chai.assert.equal(query.matches(new Model({status: 'pending', owner: 'me'})), true);
+        chai.assert.equal(query.matches(new Model({status: 'closed', owner: 'me'})), false);
+        chai.assert.equal(query.matches(new Model({status: 'open', owner: 'you'})), false);
+    });
+    test('test_and_takes_precedence_over_or', function () {
+        let query = (new Builder({})).where('a', 1).where('b', 1).orWhere('c', '>', 5);
+        chai.assert.equal(query.matches(new Model({a: 0, b: 1, c: 6})), true);
+        chai.assert.equal(query.matches(new Model({a: 1, b: 1, c: 0})), true);
+        chai.assert.equal(query.matches(new Model({a: 1, b: 0, c: 0})), false);
+    });
+    test('test_collections_can_be_filtered_by_a_query', function () {
+        let model = new Model();
+        let collection = model.newCollection([new Model({id: 1, name: 'Mock'}), new Model({id: 2, name: 'other'})]);
+        let filtered = collection.filterByQuery(model.query().whereLike('name', 'mo%'));
+        chai.assert.equal(filtered.first().id, 1);
+    });
+});
+
+suite('Scopes', function() {
+
+    class Task extends Model {
+        scopeActive(query) {
+            return query.where('active', 1);
+        }
+
+        scopeOwnedBy(query, user) {
+            query.where('owner', user);
+        }
+    }
+
+    teardown(function () {
+        Task.removeGlobalScope('visible');
+    });
+
+    test('test_local_scopes_are_chainable_builder_methods', function () {
+        let builder = (new Task()).query().active().ownedBy('me').setLimit(-1);
+        chai.assert.equal(builder.toQueryString(), '?filters[active][]=1&filters[owner][]=me&limit=-1&page=1');
+    });
+    test('test_global_scopes_apply_to_every_query', function () {
+        Task.addGlobalScope('visible', (query) => query.where('visible', 1));
+        let builder = (new Task()).query().where('mock', 2).setLimit(-1);
+        chai.assert.equal(builder.toQueryString(), '?filters[mock][]=2&filters[visible][]=1&limit=-1&page=1');
+        chai.assert.equal(builder.hasConstraint('visible'), false);
+        chai.assert.equal((new Model()).query().globalScopes().length, 0);
+    });
+    test('test_global_scopes_can_be_removed_from_a_query', function () {
+        Task.addGlobalScope('visible', (query) => query.where('visible', 1));
+        let builder = (new Task()).query().withoutGlobalScope('visible').setLimit(-1);
+        chai.assert.equal(builder.toQueryString(), '?limit=-1&page=1');
+    });
+});
+
+suite('Soft deletes', function() {
+
+    class Post extends mockModel('/posts') {
+        constructor(data = {}) {
+            super(data);
+            this.soft_deletes = true;
+        }
+    }
+
+    test('test_trashed_models_are_excluded_by_default', function () {
+        chai.assert.equal((new Post()).query().setLimit(-1).toQueryString(), '?filters[deleted_at][null]=1&limit=-1&page=1');
+    });
+    test('test_with_trashed_and_only_trashed', function () {
+        chai.assert.equal((new Post()).query().withTrashed().setLimit(-1).toQueryString(), '?limit=-1&page=1');
+        chai.assert.equal((new Post()).query().onlyTrashed().setLimit(-1).toQueryString(), '?filters[deleted_at][not_null]=1&limit=-1&page=1');
+    });
+    test('test_delete_marks_the_model_as_trashed', function () {
+        transport.on('POST', '/posts/delete', {data: [{id: 1}]});
+        let post = new Post({id: 1, deleted_at: null});
+        post.exists = true;
+        return post.deleteModel().then(function () {
+            chai.assert.equal(post.trashed(), true);
+            chai.assert.equal(post.exists, true);
+            chai.assert.equal(post.isDirty(), false);
+        });
+    });
+    test('test_deleting_a_model_that_does_not_exist_is_rejected', function () {
+        let post = new Post({id: 1});
+        let called = false;
+        return post.deleteModel(() => {
+            called = true;
+        }).then(function () {
+            chai.assert.fail();
+        }, function (exception) {
+            chai.assert.instanceOf(exception, ModelNotPersistedException);
+            chai.assert.equal(called, false);
+            chai.assert.equal(transport.requests.length, 0);
+        });
+    });
+    test('test_restore_and_force_delete', function () {
+        transport
+            .on('POST', '/posts/restore', {data: {data: [{id: 1, deleted_at: null}]}})
+            .on('POST', '/posts/force-delete', {data: []});
+        let post = new Post({id: 1, deleted_at: '2016-07-01T12:00:00.000Z'});
+        post.exists = true;
+        return post.restore().then(function () {
+            chai.assert.equal(transport.lastRequest().url, '/posts/restore?filters[id][]=1&limit=15&page=1');
+            chai.assert.equal(post.trashed(), false);
+            return post.forceDelete();
+        }).then(function () {
+            chai.assert.equal(post.exists, false);
+        });
+    });
+});
+
+suite('Identity map', function() {
+
+    teardown(function () {
+        Model.identityMap().clear();
+    });
+
+    class Author extends mockModel('/authors') {
+        constructor(data = {}) {
+            super(data);
+            this.identity_map = true;
+        }
+    }
+
+    test('test_queries_return_the_same_instance', function () {
+        transport.on('GET', '/authors', {data: {data: [{id: 1, name: 'Ann'}]}});
+        let first = null;
+        return (new Author()).query().get().then(function (authors) {
+            first = authors.first();
+            return (new Author()).query().get();
+        }).then(function (authors) {
+            chai.assert.strictEqual(authors.first(), first);
+            chai.assert.strictEqual(Model.identityMap().get(Author, 1), first);
+        });
+    });
+    test('test_reloading_keeps_unsaved_changes', function () {
+        let name = 'Ann';
+        transport.on('GET', '/authors', () => ({data: {data: [{id: 1, name: name, bio: name + "'s bio"}]}}));
+        let author = null;
+        return (new Author()).query().get().then(function (authors) {
+            author = authors.first();
+            author.name = 'Anne';
+            name = 'Annie';
+            return (new Author()).query().get();
+        }).then(function () {
+            chai.assert.equal(author.name, 'Anne');
+            chai.assert.equal(author.bio, "Annie's bio");
+            chai.assert.deepEqual(author.getChanges(), {name: {old: 'Annie', new: 'Anne'}});
+        });
+    });
+    test('test_evict_and_clear', function () {
+        let author = new Author({id: 1});
+        Model.identityMap().add(author).add(new Author({id: 2}));
+        Model.identityMap().evict(author);
+        chai.assert.equal(Model.identityMap().has(Author, 1), false);
+        Model.identityMap().evict(Author, 2);
+        chai.assert.equal(Model.identityMap().has(Author, 2), false);
+        Model.identityMap().add(author).clear(Author);
+        chai.assert.equal(Model.identityMap().has(Author, 1), false);
+    });
+    test('test_models_do_not_use_the_map_by_default', function () {
+        chai.assert.equal((new Model()).getIdentityMap(), null);
+    });
+});
+
+suite('Response cache', function() {
+
+    let cache = null;
+
+    setup(function () {
+        cache = new ResponseCache({ttl: 60000});
+    });
+
+    class Tag extends mockModel('/tags') {
+        constructor(data = {}) {
+            super(data);
+            this.cache = cache;
+        }
+    }
+
+    test('test_repeated_queries_use_the_cache', function () {
+        transport.on('GET', '/tags', {data: {data: [{id: 1}]}});
+        return (new Tag()).query().get().then(function () {
+            return (new Tag()).query().get();
+        }).then(function (tags) {
+            chai.assert.equal(transport.requests.length, 1);
+            chai.assert.equal(tags.first().id, 1);
+            return (new Tag()).where('id', 2).get();
+        }).then(function () {
+            chai.assert.equal(transport.requests.length, 2);
+        });
+    });
+    test('test_writes_invalidate_the_cache', function () {
+        transport
+            .on('GET', '/tags', {data: {data: [{id: 1}]}})
+            .on('POST', '/tags/update', {data: {data: [{id: 1, name: 'b'}]}});
+        return (new Tag()).query().get().then(function (tags) {
+            let tag = tags.first();
+            tag.name = 'b';
+            return tag.save();
+        }).then(function () {
+            return (new Tag()).query().get();
+        }).then(function () {
+            chai.assert.equal(transport.requests.length, 3);
+        });
+    });
+    test('test_stale_responses_are_revalidated', function () {
+        cache = new ResponseCache({ttl: 0, stale: 60000});
+        let name = 'a';
+        transport.on('GET', '/tags', () => ({data: {data: [{id: 1, name: name}]}}));
+        return (new Tag()).query().get().then(function () {
+            name = 'b';
+            return (new Tag()).query().get();
+        }).then(function (tags) {
+            chai.assert.equal(tags.first().name, 'a');
+            chai.assert.equal(transport.requests.length, 2);
+            return new Promise((resolve) => setTimeout(resolve, 0));
+        }).then(function () {
+            return (new Tag()).query().get();
+        }).then(function (tags) {
+            chai.assert.equal(tags.first().name, 'b');
+        });
+    });
+});
+
+suite('Cancellation', function() {
+
+    setup(function () {
+        transport.on('GET', '/searches', (request) => new Promise(function (resolve) {
+            setTimeout(() => resolve({data: {data: [{id: 1, requested: request.url}]}}), 5);
+        }));
+    });
+
+    class Search extends mockModel('/searches') {}
+
+    test('test_identical_queries_share_a_request', function () {
+        return Promise.all([(new Search()).query().get(), (new Search()).query().get()]).then(function (results) {
+            chai.assert.equal(transport.requests.length, 1);
+            chai.assert.notStrictEqual(results[0].first(), results[1].first());
+            chai.assert.equal(results[1].first().id, 1);
+        });
+    });
+    test('test_queries_with_different_headers_do_not_share_a_request', function () {
+        class TenantSearch extends Search {
+            constructor(data = {}) {
+                super(data);
+                this.middleware = [function (request, next) {
+                    request.headers['X-Tenant'] = 'acme';
+                    return next(request);
+                }];
+            }
+        }
+        return Promise.all([(new Search()).query().get(), (new TenantSearch()).query().get()]).then(function () {
+            chai.assert.equal(transport.requests.length, 2);
+        });
+    });
+    test('test_abort_listeners_are_removed_once_a_shared_request_settles', function () {
+        let controller = new AbortController();
+        let listeners = 0;
+        let add = controller.signal.addEventListener;
+        let remove = controller.signal.removeEventListener;
+        controller.signal.addEventListener = function () {
+            listeners += 1;
+            return add.apply(this, arguments);
+        };
+        controller.signal.removeEventListener = function () {
+            listeners -= 1;
+            return remove.apply(this, arguments);
+        };
+        return (new Search()).query().withSignal(controller.signal).get().then(function () {
+            chai.assert.equal(listeners, 0);
+        });
+    });
+    test('test_queries_can_be_aborted', function () {
+        let controller = new AbortController();
+        let aborted = (new Search()).query().withSignal(controller.signal).get();
+        let other = (new Search()).query().get();
+        controller.abort();
+        return aborted.then(function () {
+            chai.assert.fail();
+        }, function (exception) {
+            chai.assert.instanceOf(exception, RequestAbortedException);
+            return other;
+        }).then(function (results) {
+            chai.assert.equal(results.first().id, 1);
+        });
+    });
+    test('test_latest_wins', function () {
+        let first = (new Search()).where('term', 'a').latest().get();
+        let second = (new Search()).where('term', 'ab').latest().get();
+        return first.then(function () {
+            chai.assert.fail();
+        }, function (exception) {
+            chai.assert.instanceOf(exception, RequestAbortedException);
+            return second;
+        }).then(function (results) {
+            chai.assert.include(results.first().requested, 'filters[term][]=ab');
+        });
+    });
+});
+
+suite('Retries', function() {
+
+    let statuses = [];
+
+    setup(function () {
+        transport.on('*', '/jobs', () => ({status: statuses.length > 0 ? statuses.shift() : 200, data: {data: []}}));
+    });
+
+    teardown(function () {
+        Job.offStatus();
+    });
+
+    class Job extends mockModel('/jobs') {
+        constructor(data = {}) {
+            super(data);
+            this.routes = 'rest';
+            this.retry_policy = new RetryPolicy({delay: 0, jitter: 0});
+        }
+    }
+
+    test('test_idempotent_requests_are_retried', function () {
+        statuses = [503, 502];
+        return (new Job()).query().get().then(function () {
+            chai.assert.equal(transport.requests.length, 3);
+        });
+    });
+    test('test_retries_stop_after_the_maximum_attempts', function () {
+        statuses = [503, 503, 503, 503];
+        return (new Job()).query().get().then(function () {
+            chai.assert.fail();
+        }, function (exception) {
+            chai.assert.equal(exception.status, 503);
+            chai.assert.equal(transport.requests.length, 3);
+        });
+    });
+    test('test_non_idempotent_requests_are_not_retried', function () {
+        statuses = [503];
+        return (new Job()).query().insert({name: 'a'}).then(function () {
+            chai.assert.fail();
+        }, function () {
+            chai.assert.equal(transport.requests.length, 1);
+        });
+    });
+    test('test_retry_after_and_backoff', function () {
+        let policy = new RetryPolicy({delay: 100, jitter: 0});
+        let request = {method: 'GET'};
+        chai.assert.equal(policy.retryDelay(request, {status: 503, headers: {}}, 2), 200);
+        chai.assert.equal(policy.retryDelay(request, {status: 429, headers: {'retry-after': '2'}}, 1), 2000);
+        chai.assert.equal(policy.retryDelay(request, {status: 404, headers: {}}, 1), null);
+        chai.assert.equal(policy.retryDelay(request, null, 3), null);
+    });
+    test('test_status_handlers_can_resend_requests', function () {
+        statuses = [401];
+        let handled = [];
+        Job.onStatus(401, function (exception, model) {
+            handled.push(exception.status);
+            return Promise.resolve(true);
+        });
+        return (new Job()).query().get().then(function () {
+            chai.assert.deepEqual(handled, [401]);
+            chai.assert.equal(transport.requests.length, 2);
+        });
+    });
+});
+
+suite('Exceptions', function() {
+
+    function failWith(status) {
+        transport.on('GET', `/status/${status}`, {status: status});
+        return (new (mockModel(`/status/${status}`))()).query().get().then(() => chai.assert.fail(), (exception) => exception);
+    }
+
+    test('test_exceptions_are_errors', function () {
+        let exception = new UnknownOperatorException('mock');
+        chai.assert.instanceOf(exception, Error);
+        chai.assert.instanceOf(exception, JsModelException);
+        chai.assert.equal(exception.message, 'mock');
+        chai.assert.equal(exception.name, 'UnknownOperatorException');
+        chai.assert.isString(exception.stack);
+    });
+    test('test_statuses_are_mapped_to_exceptions', function () {
+        return Promise.all([failWith(404), failWith(401), failWith(403), failWith(503), failWith(418)]).then(function (exceptions) {
+            chai.assert.instanceOf(exceptions[0], NotFoundException);
+            chai.assert.instanceOf(exceptions[1], AuthorizationException);
+            chai.assert.instanceOf(exceptions[2], AuthorizationException);
+            chai.assert.instanceOf(exceptions[3], ServerException);
+            chai.assert.instanceOf(exceptions[4], HttpException);
+            chai.assert.equal(exceptions[4].status, 418);
+        });
+    });
+    test('test_network_failures_carry_the_request_and_model', function () {
+        let model = new Model();
+        model.url = '/mock_url';
+        model.transport = {send: () => Promise.reject(new Error('offline'))};
+        return model.query().get().then(() => chai.assert.fail(), function (exception) {
+            chai.assert.instanceOf(exception, NetworkException);
+            chai.assert.equal(exception.status, 0);
+            chai.assert.equal(exception.request.url, '/mock_url?limit=15&page=1');
+            chai.assert.strictEqual(exception.model, model);
+        });
+    });
+});
+
+suite('Middleware', function() {
+
+    setup(function () {
+        transport.on('GET', '/invoices', {data: {items: [{id: 1}], total: 1}});
+    });
+
+    teardown(function () {
+        Model.removeMiddleware();
+        Invoice.removeMiddleware();
+    });
+
+    class Invoice extends mockModel('/invoices') {
+        constructor(data = {}) {
+            super(data);
+            this.middleware = [
+                (request, next) => next(request).then(function (response) {
+                    response.data = {data: response.data.items, total: response.data.total};
+                    return response;
+                })
+            ];
+        }
+    }
+
+    test('test_middleware_runs_in_order_and_can_modify_requests_and_responses', function () {
+        let order = [];
+        Model.use(function (request, next) {
+            order.push('global');
+            request.headers['X-Tenant'] = 'acme';
+            return next(request);
+        });
+        Invoice.use(function (request, next) {
+            order.push('class');
+            return next(request);
+        });
+        return (new Invoice()).query().get().then(function (invoices) {
+            chai.assert.deepEqual(order, ['global', 'class']);
+            chai.assert.equal(transport.lastRequest().headers['X-Tenant'], 'acme');
+            chai.assert.equal(invoices.first().id, 1);
+        });
+    });
+    test('test_middleware_can_short_circuit', function () {
+        Invoice.use(() => ({status: 200, headers: {}, data: {items: [{id: 2}], total: 1}}));
+        return (new Invoice()).query().get().then(function (invoices) {
+            chai.assert.equal(transport.requests.length, 0);
+            chai.assert.equal(invoices.first().id, 2);
+        });
+    });
+});
+
+suite('Pagination', function() {
+
+    setup(function () {
+        transport.on('GET', '/comments', function (request) {
+            let page = parseInt(/page=(\d+)/.exec(request.url)[1], 10);
+            return {data: {data: [{id: page * 2 - 1}, {id: page * 2}], total: 6, per_page: 2, current_page: page, last_page: 3}};
+        });
+    });
+
+    class Comment extends mockModel('/comments') {}
+
+    test('test_pagination_metadata_is_parsed', function () {
+        let pagination = Pagination.fromPayload({
+            data: [],
+            links: {first: '/a?page=1', last: '/a?page=4', prev: null, next: '/a?page=2'},
+            meta: {current_page: 1, last_page: 4, per_page: '15', total: 50}
+        });
+        chai.assert.equal(pagination.total, 50);
+        chai.assert.equal(pagination.per_page, 15);
+        chai.assert.equal(pagination.links.next, '/a?page=2');
+        chai.assert.equal(pagination.hasMorePages(), true);
+        chai.assert.equal(Pagination.fromPayload({data: []}), null);
+        chai.assert.equal(Pagination.fromPayload({data: [], next_page_url: null}).hasMorePages(), false);
+    });
+    test('test_next_and_previous_pages', function () {
+        let comments = null;
+        return (new Comment()).query().setLimit(2).setPage(2).get().then(function (results) {
+            comments = results;
+            chai.assert.equal(comments.pagination.total, 6);
+            chai.assert.equal(comments.hasMorePages(), true);
+            return comments.loadNextPage();
+        }).then(function () {
+            chai.assert.equal(comments.hasMorePages(), false);
+            chai.assert.ok(comments.get(6));
+            return comments.loadNextPage();
+        }).then(function (results) {
+            chai.assert.notOk(results.first());
+            chai.assert.equal(transport.requests.length, 2);
+            return comments.loadPreviousPage();
+        }).then(function () {
+            chai.assert.ok(comments.get(1));
+            chai.assert.equal(comments.hasPreviousPages(), false);
+        });
+    });
+    test('test_going_forward_then_back_updates_the_pagination', function () {
+        let comments = null;
+        return (new Comment()).query().setLimit(2).setPage(2).get().then(function (results) {
+            comments = results;
+            return comments.loadNextPage();
+        }).then(function () {
+            chai.assert.equal(comments.pagination.current_page, 3);
+            chai.assert.equal(comments.hasMorePages(), false);
+            chai.assert.equal(comments.hasPreviousPages(), true);
+            return comments.loadPreviousPage();
+        }).then(function () {
+            chai.assert.equal(comments.pagination.current_page, 1);
+            chai.assert.equal(comments.hasMorePages(), false);
+            chai.assert.equal(comments.hasPreviousPages(), false);
+            chai.assert.ok(comments.get(1));
+            chai.assert.ok(comments.get(6));
+        });
+    });
+    test('test_load_page_and_load_all', function () {
+        let comments = null;
+        return (new Comment()).query().setLimit(2).get().then(function (results) {
+            comments = results;
+            return comments.loadPage(3);
+        }).then(function (page) {
+            chai.assert.equal(page.first().id, 5);
+            chai.assert.notOk(comments.get(5));
+            return comments.loadAll();
+        }).then(function (result) {
+            chai.assert.strictEqual(result, comments);
+            chai.assert.ok(comments.get(5));
+            chai.assert.equal(transport.requests.length, 4);
+        });
+    });
+});
+
+suite('Cursor pagination', function() {
+
+    class Event extends mockModel('/events') {}
+
+    test('test_cursor_mode_sends_the_cursor_instead_of_the_page', function () {
+        let query = (new Event()).query().setLimit(2).paginateUsing('cursor');
+        chai.assert.equal(query.toQueryString(), '?limit=2');
+        chai.assert.equal(query.setCursor('abc').toQueryString(), '?limit=2&cursor=abc');
+        chai.assert.equal(query.paginateUsing('offset').toQueryString(), '?limit=2&page=1');
+    });
+    test('test_after_uses_the_ordering_columns', function () {
+        let query = (new Event()).orderBy('created_at', 'desc').setLimit(2);
+        query.after(new Event({id: 4, created_at: '2016-07-01'}));
+        chai.assert.equal(query.toQueryString(), '?limit=2&order[]=created_at&order[]=desc&after[created_at]=2016-07-01');
+        chai.assert.equal((new Event()).query().setLimit(2).before(new Event({id: 4})).toQueryString(), '?limit=2&before[id]=4');
+    });
+    test('test_collections_follow_cursors_from_the_response', function () {
+        transport.on('GET', '/events', function (request) {
+            return request.url.indexOf('cursor=c2') === -1
+                ? {data: {data: [{id: 1}, {id: 2}], next_cursor: 'c2', prev_cursor: null}}
+                : {data: {data: [{id: 3}], next_cursor: null, prev_cursor: 'c1'}};
+        });
+        let events = null;
+        return (new Event()).query().setLimit(2).paginateUsing('cursor').get().then(function (results) {
+            events = results;
+            chai.assert.equal(events.hasMorePages(), true);
+            chai.assert.equal(events.hasPreviousPages(), false);
+            return events.loadNextPage();
+        }).then(function () {
+            chai.assert.include(transport.lastRequest().url, 'cursor=c2');
+            chai.assert.ok(events.get(3));
+            chai.assert.equal(events.hasMorePages(), false);
+        });
+    });
+    test('test_collections_derive_keyset_cursors', function () {
+        transport.on('GET', '/events', function (request) {
+            return request.url.indexOf('after[id]=2') === -1
+                ? {data: {data: [{id: 1}, {id: 2}]}}
+                : {data: {data: [{id: 3}]}};
+        });
+        let events = null;
+        return (new Event()).query().setLimit(2).paginateUsing('cursor').get().then(function (results) {
+            events = results;
+            return events.loadNextPage();
+        }).then(function () {
+            chai.assert.include(transport.lastRequest().url, 'after[id]=2');
+            chai.assert.ok(events.get(3));
+            chai.assert.equal(events.hasMorePages(), false);
+        });
+    });
+});
+
+suite('Iteration', function() {
+
+    setup(function () {
+        transport.on('GET', '/rows', function (request) {
+            let page = parseInt(/page=(\d+)/.exec(request.url)[1], 10);
+            let limit = parseInt(/limit=(\d+)/.exec(request.url)[1], 10);
+            let rows = [];
+            for(let id = (page - 1) * limit + 1; id <= Math.min(page * limit, 5); ++id) {
+                rows.push({id: id});
+            }
+            return {data: {data: rows, current_page: page, last_page: Math.ceil(5 / limit)}};
+        });
+    });
+
+    class Row extends mockModel('/rows') {}
+
+    test('test_cursor_fetches_pages_lazily', function () {
+        let iterator = (new Row()).query().setLimit(2).cursor();
+        chai.assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+        chai.assert.equal(transport.requests.length, 0);
+        let ids = [];
+        let step = () => iterator.next().then(function (result) {
+            if(!result.done) {
+                ids.push(result.value.id);
+                chai.assert.equal(transport.requests.length, Math.ceil(ids.length / 2));
+                return step();
+            }
+        });
+        return step().then(function () {
+            chai.assert.deepEqual(ids, [1, 2, 3, 4, 5]);
+        });
+    });
+    test('test_each_stops_when_the_callback_returns_false', function () {
+        let ids = [];
+        return (new Row()).query().setLimit(2).each(function (row) {
+            ids.push(row.id);
+            return row.id < 3;
+        }).then(function () {
+            chai.assert.deepEqual(ids, [1, 2, 3]);
+            chai.assert.equal(transport.requests.length, 2);
+        });
+    });
+    test('test_chunk', function () {
+        let chunks = [];
+        return (new Row()).query().chunk(3, function (rows) {
+            let ids = [];
+            rows.each((key, row) => ids.push(row.id));
+            chunks.push(ids);
+        }).then(function () {
+            chai.assert.deepEqual(chunks, [[1, 2, 3], [4, 5]]);
+        });
+    });
+    test('test_return_stops_the_iteration', function () {
+        let iterator = (new Row()).query().setLimit(2).cursor();
+        return iterator.next().then(function () {
+            return iterator.return();
+        }).then(function (result) {
+            chai.assert.equal(result.done, true);
+            return iterator.next();
+        }).then(function (result) {
+            chai.assert.equal(result.done, true);
+            chai.assert.equal(transport.requests.length, 1);
+        });
+    });
+});
+
+suite('Bulk operations', function() {
+
+    class Item extends mockModel('/items') {
+        constructor(data = {}) {
+            super(data);
+            this.rules = {name: ['required']};
+        }
+    }
+
+    function items(bulk) {
+        let prototype = new Item();
+        prototype.bulk_requests = bulk;
+        prototype.concurrency = 2;
+        let models = [new Item({id: 1, name: 'a'}), new Item({id: 2, name: 'b'}), new Item({id: 3, name: 'c'})];
+        models.forEach((model) => {
+            model.exists = true;
+        });
+        return prototype.newCollection(models);
+    }
+
+    test('test_save_all_uses_a_bulk_request', function () {
+        transport.on('POST', '/items/update', (request) => ({data: {data: request.data.map((item) => Object.assign({}, item))}}));
+        let collection = items(true);
+        collection.get(1).name = 'x';
+        collection.get(2).name = '';
+        collection.get(3).name = 'z';
+        return collection.saveAll().then(function (report) {
+            chai.assert.equal(transport.requests.length, 1);
+            chai.assert.deepEqual(transport.lastRequest().data, [{id: 1, name: 'x'}, {id: 3, name: 'z'}]);
+            chai.assert.equal(report.withStatus('succeeded').length, 2);
+            chai.assert.instanceOf(report.withStatus('failed')[0].exception, ValidationException);
+            chai.assert.equal(collection.get(1).isDirty(), false);
+        });
+    });
+    test('test_update_falls_back_to_limited_individual_requests', function () {
+        let waiting = 0;
+        let most = 0;
+        transport.on('POST', '/items/update', function (request) {
+            waiting += 1;
+            most = Math.max(most, waiting);
+            return new Promise(function (resolve) {
+                setTimeout(function () {
+                    waiting -= 1;
+                    resolve({status: request.data.id === 2 ? 500 : 200, data: {data: [request.data]}});
+                }, 1);
+            });
+        });
+        let collection = items(false);
+        return collection.update({name: 'x'}).then(function (report) {
+            chai.assert.equal(transport.requests.length, 3);
+            chai.assert.equal(most, 2);
+            chai.assert.equal(report.hasFailures(), true);
+            chai.assert.strictEqual(report.withStatus('failed')[0].model, collection.get(2));
+            chai.assert.equal(collection.get(3).name, 'x');
+        });
+    });
+    test('test_delete_all', function () {
+        transport.on('POST', '/items/delete', {data: []});
+        return items(true).deleteAll().then(function (report) {
+            chai.assert.equal(transport.requests.length, 1);
+            chai.assert.include(transport.lastRequest().url, 'filters[id][]=1&filters[id][]=2&filters[id][]=3');
+            chai.assert.notMatch(transport.lastRequest().url, /[?&](limit|page)=/);
+            chai.assert.equal(report.withStatus('succeeded').length, 3);
+        });
+    });
+    test('test_bulk_requests_are_not_paginated', function () {
+        transport.on('POST', '/items/update', (request) => ({data: {data: request.data.map((item) => Object.assign({}, item))}}));
+        let prototype = new Item();
+        prototype.bulk_requests = true;
+        let models = [];
+        for(let i=1; i <= 20; ++i) {
+            let model = new Item({id: i, name: 'a'});
+            model.exists = true;
+            models.push(model);
+        }
+        return prototype.newCollection(models).update({name: 'b'}).then(function (report) {
+            chai.assert.equal(transport.requests.length, 1);
+            chai.assert.include(transport.lastRequest().url, 'filters[id][]=20');
+            chai.assert.notMatch(transport.lastRequest().url, /[?&](limit|page)=/);
+            chai.assert.equal(report.withStatus('succeeded').length, 20);
+        });
+    });
+});
+
+suite('Offline queue', function() {
+
+    let online = false;
+    let queue = null;
+
+    setup(function () {
+        online = false;
+        transport
+            .on('POST', '/visits/store', (request) => ({data: Object.assign({}, request.data, {id: 10, source: 'api'})}))
+            .on('POST', '/visits/update', (request) => ({data: {data: [Object.assign({}, request.data)]}}))
+            .on('POST', '/visits/delete', {status: 404});
+        queue = new OfflineQueue(new MemoryQueueStore());
+    });
+
+    class Visit extends mockModel('/visits') {
+        constructor(data = {}) {
+            super(data);
+            let memory = this.transport;
+            this.transport = {send: (request) => online ? memory.send(request) : Promise.reject(new Error('offline'))};
+            this.offline_queue = queue;
+        }
+    }
+
+    test('test_writes_are_queued_and_replayed_with_remapped_keys', function () {
+        let visit = new Visit({notes: 'a'});
+        return visit.save().then(function () {
+            chai.assert.equal(visit.exists, true);
+            chai.assert.equal(queue.isTemporaryId(visit.id), true);
+            visit.notes = 'b';
+            return visit.save();
+        }).then(function () {
+            return queue.entries();
+        }).then(function (entries) {
+            chai.assert.equal(entries.length, 2);
+            chai.assert.include(entries[1].url, visit.id);
+            online = true;
+            return queue.replay();
+        }).then(function (report) {
+            chai.assert.equal(report.replayed, 2);
+            chai.assert.equal(visit.id, 10);
+            chai.assert.equal(transport.requests[0].data.id, undefined);
+            chai.assert.include(transport.lastRequest().url, 'filters[id][]=10');
+            chai.assert.deepEqual(transport.lastRequest().data, {notes: 'b', id: 10});
+            return queue.entries();
+        }).then(function (entries) {
+            chai.assert.equal(entries.length, 0);
+        });
+    });
+    test('test_replayed_inserts_are_merged_into_the_model', function () {
+        let visit = new Visit({notes: 'a'});
+        return visit.save().then(function () {
+            visit.setAttribute('notes', 'b');
+            online = true;
+            return queue.replay();
+        }).then(function () {
+            chai.assert.equal(visit.id, 10);
+            chai.assert.equal(visit.getAttribute('source'), 'api');
+            chai.assert.deepEqual(visit.getChanges(), {notes: {old: 'a', new: 'b'}});
+        });
+    });
+    test('test_rejected_replays_are_reported', function () {
+        let visit = new Visit({id: 3});
+        visit.exists = true;
+        return visit.deleteModel().then(function () {
+            online = true;
+            return queue.replay();
+        }).then(function (report) {
+            chai.assert.equal(report.replayed, 0);
+            chai.assert.equal(report.failed[0].response.status, 404);
+            chai.assert.equal(queue.hasPending(), false);
+        });
+    });
+    test('test_replays_run_the_status_handlers_and_invalidate_the_cache', function () {
+        let cache = new ResponseCache();
+        let handled = [];
+        Visit.onStatus(404, (exception) => {
+            handled.push(exception.status);
+        });
+        let visit = new Visit({id: 3});
+        visit.exists = true;
+        visit.cache = cache;
+        return visit.deleteModel().then(function () {
+            visit.setAttribute('notes', 'c');
+            return visit.save();
+        }).then(function () {
+            cache.put('/visits', '/visits?limit=15&page=1', {status: 200, headers: {}, data: {data: []}});
+            online = true;
+            queue.register(visit);
+            return queue.replay();
+        }).then(function (report) {
+            chai.assert.equal(report.failed[0].response.status, 404);
+            chai.assert.equal(report.replayed, 1);
+            chai.assert.deepEqual(handled, [404]);
+            chai.assert.equal(cache.get('/visits', '/visits?limit=15&page=1'), null);
+        }).then(function () {
+            Visit.offStatus();
+        }, function (exception) {
+            Visit.offStatus();
+            throw exception;
+        });
+    });
+    test('test_replay_stops_while_offline', function () {
+        let visit = new Visit({id: 3});
+        visit.exists = true;
+        visit.setAttribute('notes', 'c');
+        return visit.save().then(function () {
+            return queue.replay();
+        }).then(function (report) {
+            chai.assert.equal(report.remaining, 1);
+            chai.assert.equal(queue.hasPending(), true);
+        });
+    });
+    test('test_later_writes_replay_the_queue_once_the_api_can_be_reached', function () {
+        let visit = new Visit({notes: 'a'});
+        return visit.save().then(function () {
+            chai.assert.equal(queue.hasPending(), true);
+            online = true;
+            visit.notes = 'b';
+            return visit.save();
+        }).then(function () {
+            chai.assert.equal(transport.requests.length, 2);
+            chai.assert.equal(queue.hasPending(), false);
+            chai.assert.equal(visit.id, 10);
+            chai.assert.include(transport.lastRequest().url, 'filters[id][]=10');
+        });
+    });
+    test('test_requests_are_replayed_through_the_model_they_were_made_for', function () {
+        let notes = new MemoryTransport().on('POST', '/notes/store', (request) => ({data: Object.assign({id: 20}, request.data)}));
+        class Note extends Model {
+            constructor(data = {}) {
+                super(data);
+                this.url = '/notes';
+                this.transport = {send: (request) => online ? notes.send(request) : Promise.reject(new Error('offline'))};
+                this.offline_queue = queue;
+            }
+        }
+        return (new Visit({notes: 'a'})).save().then(function () {
+            return (new Note({text: 'b'})).save();
+        }).then(function () {
+            online = true;
+            return queue.replay();
+        }).then(function (report) {
+            chai.assert.equal(report.replayed, 2);
+            chai.assert.equal(transport.requests.length, 1);
+            chai.assert.equal(notes.requests.length, 1);
+        });
+    });
+    test('test_persisted_queues_can_be_replayed_once_their_models_are_registered', function () {
+        let store = new MemoryQueueStore();
+        let entry = {id: 1, action: 'update', method: 'POST', url: '/visits/update', data: {id: 3}, model: '/visits'};
+        return store.save({entries: [entry], remaps: {}}).then(function () {
+            online = true;
+            let errors = [];
+            let reloaded = (new OfflineQueue(store)).on('error', (exception) => errors.push(exception));
+            return reloaded.drain().then(function (report) {
+                chai.assert.equal(report, null);
+                chai.assert.instanceOf(errors[0], JsModelException);
+                return reloaded.register(Visit).replay();
+            });
+        }).then(function (report) {
+            chai.assert.equal(report.replayed, 1);
+            chai.assert.equal(transport.lastRequest().url, '/visits/update');
+        });
+    });
+    test('test_persisted_requests_are_pending_once_the_queue_is_ready', function () {
+        let store = new MemoryQueueStore();
+        let entry = {id: 1, action: 'update', method: 'POST', url: '/visits/update', data: {id: 3}, model: '/visits'};
+        return store.save({entries: [entry], remaps: {}}).then(function () {
+            return (new OfflineQueue(store)).ready;
+        }).then(function (reloaded) {
+            chai.assert.equal(reloaded.hasPending(), true);
+            reloaded.dispose();
+        });
+    });
+    test('test_local_storage_store', function () {
+        let items = {};
+        let storage = {getItem: (key) => items.hasOwnProperty(key) ? items[key] : null, setItem: (key, value) => {
+            items[key] = value;
+        }};
+        let store = new LocalStorageQueueStore('queue', storage);
+        return store.save({entries: [{id: 1}], remaps: {}}).then(function () {
+            return store.load();
+        }).then(function (state) {
+            chai.assert.deepEqual(state, {entries: [{id: 1}], remaps: {}});
+        });
+    });
+});
@@ -0,0 +1,6 @@
+import HttpException from "./HttpException";
+
+/**
+ * An exception that is raised when a request receives a 401 or 403 response.
+ */
+export default class AuthorizationException extends HttpException {}
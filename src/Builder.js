@@ -2,9 +2,61 @@ import ModelCollection from './ModelCollection';
 import Collection from 'js_collection';
 import DuplicateVariableException from "../src/DuplicateVariableException";
 import UnknownVariableException from "../src/UnknownVariableException";
-import jQuery from 'jquery';
+import UnknownRelationException from "./UnknownRelationException";
+import UnknownOperatorException from "./UnknownOperatorException";
+import UnknownScopeException from "./UnknownScopeException";
+import HttpException from "./HttpException";
+import ValidationException from "./ValidationException";
+import RequestAbortedException from "./RequestAbortedException";
+import NotFoundException from "./NotFoundException";
+import AuthorizationException from "./AuthorizationException";
+import ServerException from "./ServerException";
+import NetworkException from "./NetworkException";
+import RouteMap from "./RouteMap";
+import ConstraintEvaluator from "./ConstraintEvaluator";
+import Pagination from "./Pagination";
+import QueryIterator from "./QueryIterator";
+import settle from "./support/settle";
+import pipeline from "./support/pipeline";
+import {anySignal, abortable} from "./support/abort";
 import clone  from 'clone';
 
+/**
+ * The operators that can be used in where conditions, mapped to the names that they are serialized as.
+ *
+ * @type {Object}
+ */
+const operators = {
+    '=': 'eq',
+    '!=': 'ne',
+    '<>': 'ne',
+    '>': 'gt',
+    '>=': 'gte',
+    '<': 'lt',
+    '<=': 'lte',
+    'in': 'in',
+    'not in': 'not_in',
+    'between': 'between',
+    'null': 'null',
+    'not null': 'not_null',
+    'like': 'like'
+};
+
+/**
+ * The GET requests that are waiting for a response, keyed by their method, url and headers (see shareKey), keyed by
+ * the transport that sent them.
+ *
+ * @type {WeakMap}
+ */
+const in_flight = new WeakMap();
+
+/**
+ * The abort controllers of the latest requests sent by queries in "latest wins" mode, keyed by channel.
+ *
+ * @type {Map}
+ */
+const latest_requests = new Map();
+
 /**
  * A builder class for building query strings for a Filterable API.
  */
@@ -19,14 +71,141 @@ export default class Builder
     {
         this.model = model;
         
-        this._constraints = new Collection([
-            // {filter: "filter_name", value: "filter_value"}
-        ], 'filter');
+        this._constraints = [
+            // {boolean: "and", filter: "filter_name", operator: "eq", value: "filter_value"}
+            // {boolean: "or", group: [...constraints]}
+        ];
 
         this.appends = new Collection([
             {"name": "limit", "value": 15},
             {"name": "page", "value": 1}
         ], 'name');
+
+        this._eager_loads = [];
+        this._eager_strategy = 'embed';
+
+        this._signal = null;
+        this._latest = null;
+
+        this._pagination_mode = 'offset';
+        this._cursor = null;
+        this._paginated = true;
+
+        this._global_scopes = model != null && typeof model.globalScopes === 'function' ? model.globalScopes() : {};
+
+        let scopes = model != null && typeof model.localScopes === 'function' ? model.localScopes() : [];
+        for(let i=0; i < scopes.length; ++i) {
+            if(!(scopes[i] in this)) {
+                this[scopes[i]] = (function (name) {
+                    return function (...args) {
+                        return this.scope.apply(this, [name].concat(args));
+                    }
+                })(scopes[i]);
+            }
+        }
+    }
+
+    /**
+     * Creates a copy of a query builder that can be changed without affecting the original.
+     *
+     * @returns {Builder}
+     */
+    clone()
+    {
+        let copy = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+        copy._constraints = clone(this._constraints);
+        copy._eager_loads = this._eager_loads.slice();
+        copy._global_scopes = Object.assign({}, this._global_scopes);
+
+        let appends = [];
+        this.appends.each((key, item) => {
+            appends.push({name: item.name, value: clone(item.value)});
+        });
+        copy.appends = new Collection(appends, 'name');
+        return copy;
+    }
+
+    /**
+     * Applies a local scope of the model that a query is for; local scopes are defined as methods of a model that
+     * are prefixed with "scope", for example `scopeActive(query)`, and are also available as methods of the builder
+     * without their prefix, for example `query.active()`.
+     *
+     * @param {String} name
+     * @param {...*} args Passed on to the scope after the builder.
+     * @returns {Builder}
+     */
+    scope(name, ...args)
+    {
+        let method = 'scope' + name.charAt(0).toUpperCase() + name.substring(1);
+        if(this.model == null || typeof this.model[method] !== 'function') {
+            throw new UnknownScopeException(`Cannot apply unknown scope "${name}"!`);
+        }
+        let result = this.model[method].apply(this.model, [this].concat(args));
+        return result instanceof Builder ? result : this;
+    }
+
+    /**
+     * Removes a global scope from a query.
+     *
+     * @param {String} name
+     * @returns {Builder}
+     */
+    withoutGlobalScope(name)
+    {
+        delete this._global_scopes[name];
+        return this;
+    }
+
+    /**
+     * Removes global scopes from a query; all of them are removed when no names are given.
+     *
+     * @param {...String} names
+     * @returns {Builder}
+     */
+    withoutGlobalScopes(...names)
+    {
+        if(names.length === 0) {
+            this._global_scopes = {};
+        }
+        for(let i=0; i < names.length; ++i) {
+            this.withoutGlobalScope(names[i]);
+        }
+        return this;
+    }
+
+    /**
+     * Gets the names of the global scopes that will be applied to a query.
+     *
+     * @returns {Array}
+     */
+    globalScopes()
+    {
+        return Object.keys(this._global_scopes);
+    }
+
+    /**
+     * Creates a copy of a query with its global scopes applied; the original query is left unchanged so that scopes
+     * can still be removed from it.
+     *
+     * @returns {Builder}
+     */
+    applyScopes()
+    {
+        let names = Object.keys(this._global_scopes);
+        if(names.length === 0) {
+            return this;
+        }
+        let query = this.clone();
+        query._global_scopes = {};
+        for(let i=0; i < names.length; ++i) {
+            let scope = this._global_scopes[names[i]];
+            if(typeof scope === 'function') {
+                scope(query, this.model);
+            } else {
+                scope.apply(query, this.model);
+            }
+        }
+        return query;
     }
 
     /**
@@ -34,10 +213,11 @@ export default class Builder
      * does not exist.
      *
      * @param {String} filter
+     * @param {String} [operator=null] The operator of the constraint; defaults to the first constraint for the filter.
      * @returns {*}
      */
-    getConstraintValue(filter) {
-        let constraint = this._constraints.get(filter);
+    getConstraintValue(filter, operator = null) {
+        let constraint = this._findConstraint(filter, operator);
         return constraint != null
             ? (constraint.value instanceof Object ? clone(constraint.value) : constraint.value)
             : null;
@@ -47,10 +227,40 @@ export default class Builder
      * Determine whether a query has a constraint set for a certain filter.
      *
      * @param {String} filter
+     * @param {String} [operator=null] The operator of the constraint; defaults to any operator.
      * @returns {Boolean}
      */
-    hasConstraint(filter) {
-        return this._constraints.get(filter) != null;
+    hasConstraint(filter, operator = null) {
+        return this._findConstraint(filter, operator) != null;
+    }
+
+    /**
+     * Gets a copy of the constraints that are being applied to a query, formatted {boolean, filter, operator, value}
+     * for conditions and {boolean, group} for groups of them.
+     *
+     * @returns {Array}
+     */
+    getConstraints() {
+        return clone(this._constraints);
+    }
+
+    /**
+     * Finds the constraint for a filter; returns null if there is none.
+     *
+     * @param {String} filter
+     * @param {String} [operator=null]
+     * @returns {Object|null}
+     * @private
+     */
+    _findConstraint(filter, operator = null) {
+        let name = operator != null ? operatorName(operator) : null;
+        for(let i=0; i < this._constraints.length; ++i) {
+            let constraint = this._constraints[i];
+            if(constraint.filter === filter && (name == null || constraint.operator === name)) {
+                return constraint;
+            }
+        }
+        return null;
     }
 
     /**
@@ -88,7 +298,7 @@ export default class Builder
      */
     getLimit()
     {
-        return this.hasVariable('limit') ? this.appends.get('limit').value : -1;
+        return this._paginated && this.hasVariable('limit') ? this.appends.get('limit').value : -1;
     }
 
     /**
@@ -128,6 +338,117 @@ export default class Builder
         return this;
     }
 
+    /**
+     * Sets the mode that a query is paginated using.
+     *
+     * With the "offset" mode (the default) the page number is sent along with the limit. With the "cursor" mode the
+     * page number is not sent; instead the query sends the cursor that has been set using setCursor, or the values of
+     * the columns that it is ordered by for the model that results should follow (or precede) as set using after (or
+     * before). Collections of results follow the next and previous cursors of the response, or derive keyset cursors
+     * from their first and last results when the response does not have any.
+     *
+     * @param {String} mode Either "offset" or "cursor".
+     * @returns {Builder}
+     */
+    paginateUsing(mode)
+    {
+        this._pagination_mode = mode;
+        return this;
+    }
+
+    /**
+     * Gets the mode that a query is paginated using.
+     *
+     * @returns {String}
+     */
+    paginationMode()
+    {
+        return this._pagination_mode;
+    }
+
+    /**
+     * Stops a query from being paginated; neither the limit nor the page is sent, so that every result is loaded.
+     *
+     * @returns {Builder}
+     */
+    withoutPagination()
+    {
+        this._paginated = false;
+        return this;
+    }
+
+    /**
+     * Sets the cursor that is sent in the "cursor" pagination mode; either an opaque cursor from the api, sent as the
+     * "cursor" variable, or keyset values formatted {after: {column: value}} or {before: {column: value}}.
+     *
+     * @param {String|Object|null} cursor
+     * @returns {Builder}
+     */
+    setCursor(cursor)
+    {
+        this._cursor = cursor;
+        return this;
+    }
+
+    /**
+     * Gets the cursor that is sent in the "cursor" pagination mode.
+     *
+     * @returns {String|Object|null}
+     */
+    getCursor()
+    {
+        return clone(this._cursor);
+    }
+
+    /**
+     * Requests the results that follow a model, using its values for the columns that the query is ordered by (or
+     * for its primary key when the query is not ordered); switches the query to the "cursor" pagination mode.
+     *
+     * @param {Model} model
+     * @returns {Builder}
+     */
+    after(model)
+    {
+        return this.paginateUsing('cursor').setCursor({after: this.keysetValues(model)});
+    }
+
+    /**
+     * Requests the results that precede a model, using its values for the columns that the query is ordered by (or
+     * for its primary key when the query is not ordered); switches the query to the "cursor" pagination mode.
+     *
+     * @param {Model} model
+     * @returns {Builder}
+     */
+    before(model)
+    {
+        return this.paginateUsing('cursor').setCursor({before: this.keysetValues(model)});
+    }
+
+    /**
+     * Gets the values of a model for the columns that a query is ordered by, or for its primary key when the query
+     * is not ordered.
+     *
+     * @param {Model} model
+     * @returns {Object}
+     */
+    keysetValues(model)
+    {
+        let orderings = this.orderingBy();
+        let columns = [];
+        if(orderings != null && orderings.length > 0) {
+            for(let i=0; i < orderings.length; i += 2) {
+                columns.push(orderings[i]);
+            }
+        } else {
+            columns = model.getKeyNames();
+        }
+        let values = {};
+        for(let i=0; i < columns.length; ++i) {
+            values[columns[i]] = model.attributes[columns[i]];
+        }
+        return values;
+    }
+
     /**
      * Increments the current page.
      */
@@ -205,16 +526,67 @@ export default class Builder
     /**
      * Adds a where condition to a query.
      *
-     * @param filter
-     * @param value
+     * Conditions can be given as `where(filter, value)`, which matches values equal to the value (or any of them
+     * when given an array), or as `where(filter, operator, value)` using any of the operators =, !=, >, >=, <, <=,
+     * in, not in, between, null, not null and like. A condition replaces any previous condition with the same filter
+     * and operator.
+     *
+     * A group of conditions can be added by passing a closure, which is passed a new builder to add the conditions
+     * of the group to, for example `where(q => q.where('status', 'open').orWhere('status', 'pending'))`.
+     *
+     * @param {String|Function} filter
+     * @param {...*} args Either a value, or an operator and a value.
+     * @returns {Builder}
+     */
+    where(filter, ...args)
+    {
+        return this._where('and', filter, args);
+    }
+
+    /**
+     * Adds a where condition, or a group of them, that is combined with the previous conditions of a query using OR.
+     *
+     * Conditions are combined in the same way as in SQL, so AND takes precedence over OR; use a group to combine
+     * conditions in another order.
+     *
+     * @param {String|Function} filter
+     * @param {...*} args Either a value, or an operator and a value.
+     * @returns {Builder}
+     */
+    orWhere(filter, ...args)
+    {
+        return this._where('or', filter, args);
+    }
+
+    /**
+     * Adds a where condition, or a group of them, to a query.
+     *
+     * @param {String} boolean Either "and" or "or".
+     * @param {String|Function} filter
+     * @param {Array} args
      * @returns {Builder}
+     * @private
      */
-    where(filter, value)
+    _where(boolean, filter, args)
     {
-        let constraint = this._constraints.get(filter);
-        if(constraint == null) {
+        if(typeof filter === 'function') {
+            let group = new Builder(this.model);
+            filter(group);
+            if(group._constraints.length > 0) {
+                this._constraints.push({boolean: boolean, group: group._constraints});
+            }
+            return this;
+        }
+
+        let operator = args.length > 1 ? args[0] : '=';
+        let value = args.length > 1 ? args[1] : args[0];
+        let name = operatorName(operator);
+        let constraint = boolean === 'and' ? this._findConstraint(filter, name) : null;
+        if(constraint == null || constraint.boolean !== 'and') {
             this._constraints.push({
+                boolean: boolean,
                 filter: filter,
+                operator: name,
                 value: value
             })
         } else {
@@ -224,232 +596,1042 @@ export default class Builder
     }
 
     /**
-     * Executes a query.
+     * Determines whether a model matches the constraints of a query, evaluating them in memory.
      *
-     * @param {Function} success
-     * @param {Function} error
+     * @param {Model} model
+     * @returns {Boolean}
      */
-    get(success, error)
+    matches(model)
     {
-        var instance = this;
-
-        jQuery.ajax({
-            headers:  { Accept: "application/json" },
-            dataType: 'json',
-            method: 'GET',
-            url: this.model.url + this.toQueryString(),
-            statusCode: {
-                500: function (response) {
-                    if(typeof error == 'function') {
-                        error(response, 500);
-                    }
-                },
-                422: function (response) {
-                    if(typeof error == 'function') {
-                        error(response, 500);
-                    }
-                },
-                200: function (payload) {
-                    var models = instance.encapsulateData(payload['data']);
-                    let collection = instance._collectData(models);
-                    success(collection, payload);
-                }
-            }
-        });
+        return (new ConstraintEvaluator(this.applyScopes()._constraints)).matches(model);
     }
 
     /**
-     * Generates a query string.
+     * Adds a condition that matches values equal to any of a set of values.
      *
-     * @returns {string}
+     * @param {String} filter
+     * @param {Array} values
+     * @returns {Builder}
      */
-    toQueryString()
+    whereIn(filter, values)
     {
-        let query_string = '';
-        let first = true;
-
-        this._constraints.each((key, constraint) => {
-            query_string += (first ? '?' : '&');
-            query_string += `filters[${encodeURIComponent(constraint.filter)}][]=${encodeURIComponent(constraint.value)}`;
-            first = false;
-        });
-
-        this.appends.each((key, item) => {
-            if(item.value instanceof Array) {
-                for(let i=0; i < item.value.length; ++i) {
-                    query_string += (first ? '?' : '&');
-                    query_string += `${encodeURIComponent(item.name)}[]=${encodeURIComponent(item.value[i])}`;
-                }
-            } else if(item.value instanceof Object) {
-                for(key in item.value) {
-                    query_string += (first ? '?' : '&');
-                    query_string += `${encodeURIComponent(item.name)}[${encodeURIComponent(key)}]=${encodeURIComponent(item.value[key])}`;
-                }
-            }
-            else {
-                query_string += (first ? '?' : '&');
-                query_string += `${encodeURIComponent(item.name)}=${encodeURIComponent(item.value)}`;
-            }
-            first = false;
-        }, query_string);
-
-        return query_string;
+        return this.where(filter, 'in', values);
     }
 
     /**
-     * Encapsulates a collection of data within a new instance of the model that belongs
-     * to a Builder.
+     * Adds a condition that matches values not equal to any of a set of values.
      *
-     * @param {Array} items
-     * @returns {Array}
+     * @param {String} filter
+     * @param {Array} values
+     * @returns {Builder}
      */
-    encapsulateData(items)
+    whereNotIn(filter, values)
     {
-        for(let i=0; i < items.length; ++i) {
-            items[i] = this.newModel(items[i]);
-            items[i].exists = true;
-        }
-        return items;
+        return this.where(filter, 'not in', values);
     }
 
     /**
-     * Wraps an array of data as a collection.
+     * Adds a condition that matches values between (and including) a minimum and maximum.
      *
-     * @param {Array} models
-     * @param {{}} [pagination=null]
-     * @returns {ModelCollection}
-     * @private
+     * @param {String} filter
+     * @param {Array} range Formatted [minimum, maximum].
+     * @returns {Builder}
      */
-    _collectData(models) {
-        let collection = this.model.newCollection(models);
-        collection.setQuery(this);
-        return collection;
+    whereBetween(filter, range)
+    {
+        return this.where(filter, 'between', range);
     }
 
     /**
-     * Creates a new model.
+     * Adds a condition that matches null values.
      *
-     * @param {*} data
-     * @returns {*}
+     * @param {String} filter
+     * @returns {Builder}
      */
-    newModel(data)
+    whereNull(filter)
     {
-        return new this.model.constructor(data);
+        return this.where(filter, 'null', true);
     }
 
     /**
-     * Executes an update.
+     * Adds a condition that matches values that are not null.
      *
-     * @param {Array|Object} attributes
-     * @param {function} success
-     * @param {function} error
+     * @param {String} filter
+     * @returns {Builder}
      */
-    update(attributes, success, error)
+    whereNotNull(filter)
     {
-        var instance = this;
-        jQuery.ajax({
-            headers:  { Accept: "application/json" },
-            dataType: 'json',
-            method: 'POST',
-            url: this.model.url + '/update' + this.toQueryString(),
-            data: attributes,
-            statusCode: {
-                500: function (response) {
-                    if(typeof error == 'function') {
-                        error(response, 500);
-                    }
-                },
-                422: function (response) {
-                    if(typeof error == 'function') {
-                        error(response, 422);
-                    }
-                },
-                200: function (payload) {
-                    if(typeof success == 'function') {
-                        var models = instance.encapsulateData(payload['data']);
-                        let collection = instance._collectData(models);
-                        success(collection, payload);
-                    }
-                }
-            }
-        });
+        return this.where(filter, 'not null', true);
     }
 
     /**
-     * Executes an insert.
+     * Adds a condition that matches values against a pattern, in which "%" matches any number of characters and "_"
+     * matches a single character.
      *
-     * @param {{}} attributes
-     * @param {Function} success
-     * @param {Function} error
+     * @param {String} filter
+     * @param {String} pattern
+     * @returns {Builder}
      */
-    insert(attributes, success, error)
+    whereLike(filter, pattern)
     {
-        var instance = this;
-        jQuery.ajax({
-            headers:  { Accept: "application/json" },
-            dataType: 'json',
-            method: 'POST',
-            url: this.model.url + '/store',
-            data: attributes,
-            statusCode: {
-                500: function (response) {
-                    if(typeof error == 'function') {
-                        error(response, 500);
-                    }
+        return this.where(filter, 'like', pattern);
+    }
+
+    /**
+     * Gets the relationships that will be loaded along with the results of a query.
+     *
+     * @returns {Array}
+     */
+    eagerLoads()
+    {
+        return this._eager_loads.slice();
+    }
+
+    /**
+     * Sets the strategy that is used to load relationships.
+     *
+     * With the "embed" strategy (the default) the relationships are requested in the query string and the api is
+     * expected to embed them in the payload of each result. With the "separate" strategy the related records are
+     * fetched by key in a single additional request per relationship, once the results have been received.
+     *
+     * @param {String} strategy Either "embed" or "separate".
+     * @returns {Builder}
+     */
+    eagerLoadUsing(strategy)
+    {
+        this._eager_strategy = strategy;
+        return this;
+    }
+
+    /**
+     * Loads the relationships of a set of models using separate requests, when the "separate" strategy is being used.
+     *
+     * @param {Array} models
+     * @returns {Promise} Resolves with the models once their relationships have been loaded.
+     * @private
+     */
+    _eagerLoad(models)
+    {
+        if(this._eager_strategy !== 'separate' || this._eager_loads.length === 0 || models.length === 0) {
+            return Promise.resolve(models);
+        }
+
+        // Group the relations by their top level name, so that each is only requested once.
+        let nested = {};
+        for(let i=0; i < this._eager_loads.length; ++i) {
+            let segments = this._eager_loads[i].split('.');
+            let name = segments.shift();
+            nested[name] = nested[name] || [];
+            if(segments.length > 0) {
+                nested[name].push(segments.join('.'));
+            }
+        }
+
+        let loads = [];
+        for(let name in nested) {
+            let relation = typeof models[0][name] === 'function' ? models[0][name]() : null;
+            if(relation == null || typeof relation.eagerLoadInto !== 'function') {
+                throw new UnknownRelationException(`Cannot eager load unknown relation "${name}"!`);
+            }
+            relation.name = name;
+            loads.push(relation.eagerLoadInto(models, nested[name], this._signal));
+        }
+        return Promise.all(loads).then(() => models);
+    }
+
+    /**
+     * Sets an abort signal that cancels the requests sent by a query; operations that are cancelled reject with a
+     * RequestAbortedException.
+     *
+     * @param {AbortSignal|null} signal
+     * @returns {Builder}
+     */
+    withSignal(signal)
+    {
+        this._signal = signal;
+        return this;
+    }
+
+    /**
+     * Puts a query in "latest wins" mode, in which starting an operation aborts the operation that was last started
+     * by any query on the same channel; useful for search-as-you-type, where older responses could otherwise arrive
+     * after newer ones.
+     *
+     * @param {String} [channel=null] Defaults to the url of the model that the query is for.
+     * @returns {Builder}
+     */
+    latest(channel = null)
+    {
+        this._latest = channel != null ? channel : this.model.url;
+        return this;
+    }
+
+    /**
+     * Gets the signal that aborts an operation, aborting the previous operation on the channel of a query that is in
+     * "latest wins" mode.
+     *
+     * @returns {AbortSignal|null}
+     * @private
+     */
+    _abortSignal()
+    {
+        let signals = [this._signal];
+        if(this._latest != null) {
+            if(latest_requests.has(this._latest)) {
+                latest_requests.get(this._latest).abort();
+            }
+            let controller = new AbortController();
+            latest_requests.set(this._latest, controller);
+            signals.push(controller.signal);
+        }
+        return anySignal(signals);
+    }
+
+    /**
+     * Executes a query.
+     *
+     * @param {Function} [success] Passed the collection of results and the response payload.
+     * @param {Function} [error] Passed the exception that caused the query to fail and its status code.
+     * @returns {Promise} Resolves with a collection of results.
+     */
+    get(success, error)
+    {
+        let route = this._route('index');
+        return settle(this._sendCached(route.method, route.url).then((response) => {
+            let models = this.encapsulateData(response.data['data']);
+            let pagination = this._pagination(response.data, models);
+            return this._eagerLoad(models).then(() => [this._collectData(models, pagination), response.data]);
+        }), success, error);
+    }
+
+    /**
+     * Creates an async iterator over every result of a query, which fetches a page at a time (of the size of the
+     * limit of the query) as the results are consumed.
+     *
+     * @returns {QueryIterator}
+     */
+    cursor()
+    {
+        return new QueryIterator(this.clone(), this._signal);
+    }
+
+    /**
+     * Calls a function for every result of a query, fetching a page at a time as they are processed.
+     *
+     * @param {Function} callback Passed each model; returning false (or a promise that resolves with false) stops the
+     * iteration, while returning a promise delays the next model until it resolves.
+     * @returns {Promise} Resolves once every result has been processed, or the iteration has been stopped; rejects
+     * if a page cannot be fetched or the callback throws.
+     */
+    each(callback)
+    {
+        let iterator = this.cursor();
+        let step = () => iterator.next().then((result) => {
+            if(result.done) {
+                return undefined;
+            }
+            return Promise.resolve(callback(result.value)).then((outcome) => outcome === false ? iterator.return() : step());
+        });
+        return step().then(() => undefined, (exception) => iterator.return().then(() => {
+            throw exception;
+        }));
+    }
+
+    /**
+     * Calls a function for every page of the results of a query, fetching each page once the one before it has been
+     * processed.
+     *
+     * @param {int} size The number of results in each page.
+     * @param {Function} callback Passed the collection of results of each page; returning false (or a promise that
+     * resolves with false) stops the iteration.
+     * @returns {Promise} Resolves once every page has been processed, or the iteration has been stopped.
+     */
+    chunk(size, callback)
+    {
+        let step = (fetching) => fetching.then((page) => {
+            if(page.first() == null) {
+                return undefined;
+            }
+            return Promise.resolve(callback(page)).then((outcome) => {
+                if(outcome === false || !page.hasMorePages()) {
+                    return undefined;
+                }
+                // A success callback stops the next page from being merged into the page before it.
+                return step(page.loadNextPage(() => null));
+            });
+        });
+        return step(this.clone().setLimit(size).get());
+    }
+
+    /**
+     * Builds the method and url for an action using the routes of the model that a query is for.
+     *
+     * @param {String} action
+     * @returns {{method: String, url: String}}
+     * @private
+     */
+    _route(action)
+    {
+        return RouteMap.resolve(this.model.routes).build(action, this._routeParameters(), this.toQueryString());
+    }
+
+    /**
+     * Gets the values that are available to the placeholders of a route; the attributes of the model that a query
+     * is for, overridden by the single values of its constraints, along with the url of the model.
+     *
+     * The "id" parameter is only given when the query is constrained to a single primary key (as it is for a model
+     * that is updated or deleted), so that a query started from a persisted model is not sent to the url of that model.
+     *
+     * @returns {Object}
+     * @private
+     */
+    _routeParameters()
+    {
+        let parameters = Object.assign({}, this.model.attributes);
+        let constrained = {};
+        for(let i=0; i < this._constraints.length; ++i) {
+            let constraint = this._constraints[i];
+            if(constraint.boolean === 'and' && constraint.operator === 'eq' && !(constraint.value instanceof Object)) {
+                constrained[constraint.filter] = constraint.value;
+            }
+        }
+        Object.assign(parameters, constrained);
+
+        let keys = typeof this.model.getKeyNames === 'function' ? this.model.getKeyNames() : [];
+        let filter = keys.length === 1 ? this.model.getKeyFilters()[0] : null;
+        parameters.id = filter != null && constrained.hasOwnProperty(filter) ? constrained[filter] : null;
+        parameters.url = this.model.url;
+        return parameters;
+    }
+
+    /**
+     * Sends a request using the transport of the model that a query is for.
+     *
+     * A successful request with any method other than GET invalidates the responses that have been cached for the
+     * url of the model. Identical GET requests that are sent while one is waiting for a response share that response;
+     * the shared request is only aborted once every operation that is waiting for it has been.
+     *
+     * Each attempt is sent through the middleware of the model, starting from a copy of the request. Requests that fail
+     * are retried according to the retry policy of the model, after which the status handlers registered for the
+     * model are called, which may have the request sent once more.
+     *
+     * @param {String} method
+     * @param {String} url
+     * @param {*} [data]
+     * @param {AbortSignal|null} [signal] Defaults to the abort signal of the query.
+     * @returns {Promise} Resolves with the response when it is successful and rejects with a HttpException otherwise
+     * (see exceptionFor), including for a successful response without a body (other than a 204); a NetworkException
+     * when a response could not be received and a RequestAbortedException when it is aborted.
+     * @private
+     */
+    _send(method, url, data = undefined, signal = this._abortSignal())
+    {
+        let request = {
+            method: method,
+            url: url,
+            headers: { Accept: "application/json" },
+            data: data,
+            signal: signal
+        };
+        let model = this.model;
+        let cache = model.getCache();
+        let policy = model.getRetryPolicy();
+        let transport = model.getTransport();
+        // Requests are shared once they have been through the middleware, so that only identical requests are shared.
+        let send = pipeline(model.getMiddleware(), (request) => {
+            return request.method === 'GET' ? share(transport, request) : transport.send(request);
+        });
+        let aborted = () => new RequestAbortedException(`Request to "${url}" was aborted`, request, null, model);
+
+        let attempt = function (number) {
+            if(signal != null && signal.aborted) {
+                return Promise.reject(aborted());
+            }
+            let copy = Object.assign({}, request, {headers: Object.assign({}, request.headers)});
+            let sending = send(copy);
+            let retry = function (response) {
+                let delay = policy != null ? policy.retryDelay(request, response, number) : null;
+                return delay == null ? null : abortable(policy.wait(delay), signal, aborted).then(() => attempt(number + 1));
+            };
+            return abortable(sending, signal, aborted).then(
+                function (response) {
+                    let retried = response.status < 200 || response.status >= 300 ? retry(response) : null;
+                    return retried != null ? retried : response;
                 },
-                422: function (response) {
-                    if(typeof error == 'function') {
-                        error(response, 422);
+                function (reason) {
+                    if(reason instanceof HttpException) {
+                        throw reason;
                     }
-                },
-                200: function (data) {
-                    if(typeof success == 'function') {
-                        let models = instance.encapsulateData([data])[0];
-                        success(models);
+                    if(signal != null && signal.aborted) {
+                        throw aborted();
+                    }
+                    let retried = retry(null);
+                    if(retried != null) {
+                        return retried;
                     }
+                    throw new NetworkException(
+                        `Request to "${url}" failed: ${reason != null ? reason.message : reason}`,
+                        request,
+                        null,
+                        model
+                    );
+                }
+            );
+        };
+
+        let handled = false;
+        let complete = function (sending) {
+            return sending.then(function (response) {
+                if(response.status < 200 || response.status >= 300) {
+                    throw exceptionFor(request, response, model);
+                }
+                if(response.data == null && response.status !== 204) {
+                    throw new HttpException(`Request to "${url}" received an empty response`, request, response, model);
+                }
+                if(cache != null && method !== 'GET') {
+                    cache.invalidate(model.url);
                 }
+                return response;
+            }).catch(function (exception) {
+                if(handled || exception instanceof RequestAbortedException) {
+                    throw exception;
+                }
+                handled = true;
+                return model.handleStatus(exception).then(function (resend) {
+                    if(!resend) {
+                        throw exception;
+                    }
+                    return complete(attempt(1));
+                });
+            });
+        };
+
+        return complete(attempt(1));
+    }
+
+    /**
+     * Sends a request, using the response cache of the model that a query is for when it has one.
+     *
+     * A fresh cached response is used without sending a request; a stale one that is within the stale-while-revalidate
+     * period of the cache is used while a request to refresh it is sent in the background.
+     *
+     * @param {String} method
+     * @param {String} url
+     * @returns {Promise}
+     * @private
+     */
+    _sendCached(method, url)
+    {
+        let signal = this._abortSignal();
+        let cache = this.model.getCache();
+        let model_url = this.model.url;
+        let entry = cache != null ? cache.get(model_url, url) : null;
+        if(entry != null && entry.fresh) {
+            return Promise.resolve(entry.response);
+        }
+        let request = this._send(method, url, undefined, signal).then((response) => {
+            if(cache != null) {
+                cache.put(model_url, url, response);
             }
+            return response;
         });
+        if(entry != null) {
+            request.catch(() => null);
+            return Promise.resolve(entry.response);
+        }
+        return request;
+    }
+
+    /**
+     * Sends the request for a write action (update, store, destroy, restore or force_destroy).
+     *
+     * When the model that a query is for has an offline queue, the request is queued instead of being sent while the
+     * browser is offline or earlier requests are still queued (after trying to replay them), and when it cannot reach
+     * the api; the operation then succeeds with a response that reflects the request. Inserts of models without a key
+     * are given a temporary key that the queue replaces once the insert has been replayed.
+     *
+     * @param {String} action
+     * @param {*} [data]
+     * @returns {Promise}
+     * @private
+     */
+    _sendWrite(action, data = undefined)
+    {
+        let route = this._route(action);
+        let model = this.model;
+        let queue = model.getOfflineQueue();
+        if(queue == null) {
+            return this._send(route.method, route.url, data);
+        }
+
+        let enqueue = () => {
+            let entry = {action: action, method: route.method, url: route.url, data: data, model: model.url};
+            let keys = model.getKeyNames();
+            let keyless = data != null && !(data instanceof Array) && data[keys[0]] == null;
+            if(action === 'store' && keys.length === 1 && keyless) {
+                entry.temporary_id = queue.temporaryId();
+                entry.key_name = keys[0];
+                entry.data = Object.assign({}, data);
+                entry.data[keys[0]] = entry.temporary_id;
+            }
+            if(model.getCache() != null) {
+                model.getCache().invalidate(model.url);
+            }
+            return queue.push(entry).then((entry) => ({status: 202, headers: {}, data: queuedPayload(entry)}));
+        };
+
+        queue.register(model);
+
+        // Earlier requests are replayed first when the api may be reachable again, as a request that failed to reach
+        // it would otherwise hold back every later request until the browser comes back online.
+        let replayed = queue.ready.then(() => queue.isOnline() && queue.hasPending() ? queue.drain() : null);
+        return replayed.then(() => {
+            if(!queue.isOnline() || queue.hasPending()) {
+                return enqueue();
+            }
+            return queue.resolveKeys({url: route.url, data: data}).then((request) => {
+                return this._send(route.method, request.url, request.data);
+            }).catch((exception) => {
+                if(exception instanceof NetworkException) {
+                    return enqueue();
+                }
+                throw exception;
+            });
+        });
+    }
+
+    /**
+     * Generates a query string.
+     *
+     * @returns {string}
+     */
+    toQueryString()
+    {
+        let query = this.applyScopes();
+        return query === this ? this._buildQueryString() : query.toQueryString();
+    }
+
+    /**
+     * Generates a query string from the constraints and variables of a query, without applying its global scopes.
+     *
+     * @returns {string}
+     * @private
+     */
+    _buildQueryString()
+    {
+        let query_string = '';
+        let first = true;
+
+        let parameters = isSimple(this._constraints)
+            ? Array.prototype.concat.apply([], this._constraints.map(serializeConstraint))
+            : serializeTree(this._constraints, 'filters[$where]');
+        for(let i=0; i < parameters.length; ++i) {
+            query_string += (first ? '?' : '&') + parameters[i];
+            first = false;
+        }
+
+        this.appends.each((key, item) => {
+            if(item.name === 'page' && this._pagination_mode === 'cursor') {
+                return;
+            }
+            if((item.name === 'limit' || item.name === 'page') && !this._paginated) {
+                return;
+            }
+            if(item.value instanceof Array) {
+                for(let i=0; i < item.value.length; ++i) {
+                    query_string += (first ? '?' : '&');
+                    query_string += `${encodeURIComponent(item.name)}[]=${encodeURIComponent(item.value[i])}`;
+                }
+            } else if(item.value instanceof Object) {
+                for(key in item.value) {
+                    query_string += (first ? '?' : '&');
+                    query_string += `${encodeURIComponent(item.name)}[${encodeURIComponent(key)}]=${encodeURIComponent(item.value[key])}`;
+                }
+            }
+            else {
+                query_string += (first ? '?' : '&');
+                query_string += `${encodeURIComponent(item.name)}=${encodeURIComponent(item.value)}`;
+            }
+            first = false;
+        }, query_string);
+
+        if(this._pagination_mode === 'cursor' && this._cursor != null) {
+            let parameters = typeof this._cursor === 'object'
+                ? serializeKeyset(this._cursor)
+                : [`cursor=${encodeURIComponent(this._cursor)}`];
+            for(let i=0; i < parameters.length; ++i) {
+                query_string += (first ? '?' : '&') + parameters[i];
+                first = false;
+            }
+        }
+
+        if(this._eager_strategy === 'embed') {
+            for(let i=0; i < this._eager_loads.length; ++i) {
+                query_string += (first ? '?' : '&');
+                query_string += `with[]=${encodeURIComponent(this._eager_loads[i])}`;
+                first = false;
+            }
+        }
+
+        return query_string;
+    }
+
+    /**
+     * Encapsulates a collection of data within a new instance of the model that belongs
+     * to a Builder.
+     *
+     * Models that use an identity map are resolved to the instance that is already in the map, which is populated
+     * with the data without discarding its unsaved changes (unless it is being saved, in which case the data is the
+     * result of the save).
+     *
+     * @param {Array} items
+     * @returns {Array}
+     */
+    encapsulateData(items)
+    {
+        let identity_map = this.model.getIdentityMap();
+        for(let i=0; i < items.length; ++i) {
+            let model = this.newModel(items[i]);
+            let existing = identity_map != null && model.hasKey()
+                ? identity_map.get(model.constructor, model.getKey())
+                : null;
+            if(existing != null) {
+                if(existing.syncing) {
+                    existing.hydrate(items[i]);
+                } else {
+                    existing.merge(items[i]);
+                }
+                model = existing;
+            } else if(identity_map != null) {
+                identity_map.add(model);
+            }
+            model.exists = true;
+            items[i] = model;
+        }
+        return items;
+    }
+
+    /**
+     * Wraps an array of data as a collection.
+     *
+     * @param {Array} models
+     * @param {Pagination} [pagination=null]
+     * @returns {ModelCollection}
+     * @private
+     */
+    _collectData(models, pagination = null) {
+        let collection = this.model.newCollection(models);
+        collection.setQuery(this);
+        if(pagination != null) {
+            collection.setPagination(pagination);
+        }
+        return collection;
+    }
+
+    /**
+     * Gets the pagination metadata of a page of results; when the payload does not have any, whether there are more
+     * pages is judged by whether the page is full. In the "cursor" pagination mode, keyset cursors are derived from
+     * the first and last results when the payload does not have cursors.
+     *
+     * @param {*} payload
+     * @param {Array} models
+     * @returns {Pagination}
+     * @private
+     */
+    _pagination(payload, models) {
+        let pagination = Pagination.fromPayload(payload);
+        let cursor = this._pagination_mode === 'cursor';
+        if(pagination == null) {
+            let limit = this.getLimit();
+            pagination = new Pagination({
+                current_page: cursor ? null : this.currentPage(),
+                per_page: limit !== -1 ? limit : null,
+                more: limit !== -1 && models.length >= limit
+            });
+        }
+        if(cursor && pagination.cursors.next === undefined) {
+            let more = pagination.hasMorePages() !== false && models.length > 0;
+            pagination.cursors.next = more ? {after: this.keysetValues(models[models.length - 1])} : null;
+            pagination.cursors.prev = this._cursor != null && models.length > 0
+                ? {before: this.keysetValues(models[0])}
+                : null;
+        }
+        return pagination;
+    }
+
+    /**
+     * Creates a new model.
+     *
+     * @param {*} data
+     * @returns {*}
+     */
+    newModel(data)
+    {
+        return new this.model.constructor(data);
+    }
+
+    /**
+     * Executes an update.
+     *
+     * @param {Array|Object} attributes
+     * @param {function} [success] Passed the collection of updated models and the response payload.
+     * @param {function} [error] Passed the exception that caused the update to fail and its status code.
+     * @returns {Promise} Resolves with a collection of the updated models.
+     */
+    update(attributes, success, error)
+    {
+        return settle(this._sendWrite('update', attributes).then((response) => {
+            let models = this.encapsulateData(response.data['data']);
+            return [this._collectData(models), response.data];
+        }), success, error);
+    }
+
+    /**
+     * Executes an insert.
+     *
+     * @param {{}} attributes
+     * @param {Function} [success] Passed the inserted model.
+     * @param {Function} [error] Passed the exception that caused the insert to fail and its status code.
+     * @returns {Promise} Resolves with the inserted model.
+     */
+    insert(attributes, success, error)
+    {
+        return settle(this._sendWrite('store', attributes).then((response) => {
+            return [this.encapsulateData([response.data])[0]];
+        }), success, error);
     }
 
     /**
      * Executes a delete.
      *
-     * @param {function} success
-     * @param {function} error
+     * @param {function} [success] Passed the collection of deleted models.
+     * @param {function} [error] Passed the exception that caused the delete to fail and its status code.
+     * @returns {Promise} Resolves with a collection of the deleted models.
      */
     deleteResults(success, error)
     {
-        var instance = this;
-        jQuery.ajax({
-            headers:  { Accept: "application/json" },
-            dataType: 'json',
-            method: 'POST',
-            url: this.model.url + '/delete' + this.toQueryString(),
-            statusCode: {
-                500: function (response) {
-                    if(typeof error == 'function') {
-                        error(response, 500);
-                    }
-                },
-                422: function (response) {
-                    if(typeof error == 'function') {
-                        error(response, 422);
-                    }
-                },
-                403: function() {
-                    if(typeof error == 'function') {
-                        error(null, 403);
-                    }
+        return settle(this._sendWrite('destroy').then((response) => {
+            let models = this.encapsulateData(response.data != null ? response.data : []);
+            return [this._collectData(models)];
+        }), success, error);
+    }
+
+    /**
+     * Includes soft deleted models in the results of a query.
+     *
+     * @returns {Builder}
+     */
+    withTrashed()
+    {
+        return this.withoutGlobalScope('soft_deletes');
+    }
+
+    /**
+     * Restricts the results of a query to soft deleted models.
+     *
+     * @returns {Builder}
+     */
+    onlyTrashed()
+    {
+        return this.withTrashed().whereNotNull(this.model.deleted_at_attribute);
+    }
+
+    /**
+     * Executes a restore of soft deleted models.
+     *
+     * @param {function} [success] Passed the collection of restored models.
+     * @param {function} [error] Passed the exception that caused the restore to fail and its status code.
+     * @returns {Promise} Resolves with a collection of the restored models.
+     */
+    restore(success, error)
+    {
+        return settle(this._sendWrite('restore').then((response) => {
+            return [this._collectData(this.encapsulateData(this._unwrapResults(response.data)))];
+        }), success, error);
+    }
+
+    /**
+     * Executes a permanent delete of models that are otherwise soft deleted.
+     *
+     * @param {function} [success] Passed the collection of deleted models.
+     * @param {function} [error] Passed the exception that caused the delete to fail and its status code.
+     * @returns {Promise} Resolves with a collection of the deleted models.
+     */
+    forceDelete(success, error)
+    {
+        return settle(this._sendWrite('force_destroy').then((response) => {
+            return [this._collectData(this.encapsulateData(this._unwrapResults(response.data)))];
+        }), success, error);
+    }
+
+    /**
+     * Gets the results from a response payload that is either an array of them or an object with a data array.
+     *
+     * @param {*} payload
+     * @returns {Array}
+     * @private
+     */
+    _unwrapResults(payload)
+    {
+        if(payload instanceof Array) {
+            return payload;
+        }
+        return payload != null && payload['data'] instanceof Array ? payload['data'] : [];
+    }
+}
+
+// "with" is a reserved word, so the method is defined outside of the class body where it can be named with a string.
+/**
+ * Sets the relationships that should be loaded along with the results of a query.
+ *
+ * Nested relationships can be loaded using "dot" notation, for example `with('customer', 'lineItems.product')`.
+ *
+ * @param {...String|Array} relations
+ * @returns {Builder}
+ */
+Builder.prototype['with'] = function (...relations) {
+    relations = Array.prototype.concat.apply([], relations);
+    for(let i=0; i < relations.length; ++i) {
+        if(this._eager_loads.indexOf(relations[i]) === -1) {
+            this._eager_loads.push(relations[i]);
+        }
+    }
+    return this;
+};
+
+/**
+ * Gets the name that an operator is serialized as.
+ *
+ * @param {String} operator Either an operator or the name of one.
+ * @returns {String}
+ */
+function operatorName(operator)
+{
+    let key = String(operator).toLowerCase();
+    if(operators.hasOwnProperty(key)) {
+        return operators[key];
+    }
+    for(let symbol in operators) {
+        if(operators[symbol] === key) {
+            return key;
+        }
+    }
+    throw new UnknownOperatorException(`Cannot use unknown operator "${operator}" in a where condition!`);
+}
+
+/**
+ * Determines whether a set of constraints can be serialized using the `filters[name]` format; that is whether they
+ * are all conditions that are combined using AND.
+ *
+ * @param {Array} constraints
+ * @returns {Boolean}
+ */
+function isSimple(constraints)
+{
+    for(let i=0; i < constraints.length; ++i) {
+        if(constraints[i].group != null || (i > 0 && constraints[i].boolean === 'or')) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Serializes a tree of constraints into query string parameters.
+ *
+ * Each constraint is serialized by its index, for example `filters[$where][0][boolean]=and`,
+ * `filters[$where][0][filter]=status`, `filters[$where][0][operator]=eq` and `filters[$where][0][value][]=open`; the
+ * constraints of a group are nested under `filters[$where][0][group]` in the same format.
+ *
+ * @param {Array} constraints
+ * @param {String} prefix
+ * @returns {Array}
+ */
+function serializeTree(constraints, prefix)
+{
+    let parameters = [];
+    for(let i=0; i < constraints.length; ++i) {
+        let constraint = constraints[i];
+        let node = `${prefix}[${i}]`;
+        parameters.push(`${node}[boolean]=${constraint.boolean}`);
+        if(constraint.group != null) {
+            parameters = parameters.concat(serializeTree(constraint.group, `${node}[group]`));
+            continue;
+        }
+        parameters.push(`${node}[filter]=${encodeURIComponent(constraint.filter)}`);
+        parameters.push(`${node}[operator]=${constraint.operator}`);
+        if(constraint.value instanceof Array) {
+            parameters = parameters.concat(constraint.value.map((value) => `${node}[value][]=${encodeURIComponent(value)}`));
+        } else {
+            parameters.push(`${node}[value]=${encodeURIComponent(constraint.value === true ? 1 : constraint.value)}`);
+        }
+    }
+    return parameters;
+}
+
+/**
+ * Serializes a constraint into query string parameters.
+ *
+ * Equality and "in" constraints use the `filters[name][]=value` format; other operators are nested under their name,
+ * for example `filters[name][gte]=value`, `filters[name][between][]=value` and `filters[name][null]=1`.
+ *
+ * @param {{filter: String, operator: String, value: *}} constraint
+ * @returns {Array}
+ */
+function serializeConstraint(constraint)
+{
+    let prefix = `filters[${encodeURIComponent(constraint.filter)}]`;
+    if(constraint.operator === 'null' || constraint.operator === 'not_null') {
+        return [`${prefix}[${constraint.operator}]=1`];
+    }
+    if(constraint.operator !== 'eq' && constraint.operator !== 'in') {
+        prefix += `[${constraint.operator}]`;
+        if(!(constraint.value instanceof Array)) {
+            return [`${prefix}=${encodeURIComponent(constraint.value)}`];
+        }
+    }
+    let values = constraint.value instanceof Array ? constraint.value : [constraint.value];
+    return values.map((value) => `${prefix}[]=${encodeURIComponent(value)}`);
+}
+
+/**
+ * Creates the payload of the response to a write that has been queued; the attributes that were sent for an insert and
+ * no results for other actions.
+ *
+ * @param {Object} entry
+ * @returns {*}
+ */
+function queuedPayload(entry)
+{
+    if(entry.action === 'store') {
+        return clone(entry.data);
+    }
+    return entry.action === 'update' ? {data: []} : [];
+}
+
+/**
+ * Serializes keyset cursor values formatted {after: {column: value}} or {before: {column: value}}.
+ *
+ * @param {Object} cursor
+ * @returns {Array}
+ */
+function serializeKeyset(cursor)
+{
+    let parameters = [];
+    for(let direction in cursor) {
+        for(let column in cursor[direction]) {
+            let value = cursor[direction][column];
+            parameters.push(`${direction}[${encodeURIComponent(column)}]=${encodeURIComponent(value != null ? value : '')}`);
+        }
+    }
+    return parameters;
+}
+
+/**
+ * Sends a GET request using a transport, sharing the response of an identical request (with the same method, url and
+ * headers) to the same transport that is already waiting for one.
+ *
+ * Each caller receives its own copy of the response. The shared request is aborted once every caller that gave an
+ * abort signal has aborted, as long as no caller without one is waiting for it.
+ *
+ * @param {Transport} transport
+ * @param {Object} request
+ * @returns {Promise}
+ */
+function share(transport, request)
+{
+    if(!in_flight.has(transport)) {
+        in_flight.set(transport, new Map());
+    }
+    let requests = in_flight.get(transport);
+    let key = shareKey(request);
+    let entry = requests.get(key);
+    if(entry == null) {
+        let controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        let forget = function () {
+            if(requests.get(key) === entry) {
+                requests.delete(key);
+            }
+        };
+        entry = {waiting: 0, unsignalled: false, controller: controller};
+        entry.promise = transport.send(Object.assign({}, request, {signal: controller != null ? controller.signal : null}))
+            .then(
+                function (response) {
+                    forget();
+                    return response;
                 },
-                200: function (data) {
-                    if(typeof success == 'function') {
-                        let models = instance.encapsulateData(data);
-                        let collection = instance._collectData(models);
-                        success(collection);
-                    }
+                function (reason) {
+                    forget();
+                    throw reason;
                 }
+            );
+        requests.set(key, entry);
+    }
+
+    if(request.signal != null) {
+        let signal = request.signal;
+        let abort = function () {
+            entry.waiting -= 1;
+            if(entry.waiting === 0 && !entry.unsignalled && entry.controller != null) {
+                if(requests.get(key) === entry) {
+                    requests.delete(key);
+                }
+                entry.controller.abort();
             }
-        });
+        };
+        let release = () => signal.removeEventListener('abort', abort);
+        entry.waiting += 1;
+        signal.addEventListener('abort', abort);
+        entry.promise.then(release, release);
+    } else {
+        entry.unsignalled = true;
+    }
+
+    return entry.promise.then((response) => clone(response));
+}
+
+/**
+ * Creates the key that identical requests share; their method, url and headers.
+ *
+ * @param {Object} request
+ * @returns {String}
+ */
+function shareKey(request)
+{
+    let headers = request.headers != null ? request.headers : {};
+    let names = Object.keys(headers).sort();
+    return JSON.stringify([
+        request.method.toUpperCase(),
+        request.url,
+        names.map((name) => [name.toLowerCase(), headers[name]])
+    ]);
+}
+
+/**
+ * Creates the exception for an unsuccessful response; a ValidationException carrying the field errors of the response
+ * for a 422, a NotFoundException for a 404, an AuthorizationException for a 401 or 403, a ServerException for a 5xx
+ * and a HttpException for any other status.
+ *
+ * @param {Object} request
+ * @param {Object} response
+ * @param {Model} model
+ * @returns {HttpException}
+ */
+function exceptionFor(request, response, model)
+{
+    let message = `Request to "${request.url}" failed with status ${response.status}`;
+    if(response.status === 422) {
+        let errors = ValidationException.errorsFromBody(response.data);
+        return new ValidationException(`Request to "${request.url}" failed validation`, request, response, errors, model);
+    }
+    if(response.status === 404) {
+        return new NotFoundException(message, request, response, model);
+    }
+    if(response.status === 401 || response.status === 403) {
+        return new AuthorizationException(message, request, response, model);
+    }
+    if(response.status >= 500) {
+        return new ServerException(message, request, response, model);
     }
-}
\ No newline at end of file
+    return new HttpException(message, request, response, model);
+}
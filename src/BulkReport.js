@@ -0,0 +1,77 @@
+/**
+ * A report of the outcome for each model of an operation on a collection of models.
+ */
+export default class BulkReport
+{
+    /**
+     * Constructor.
+     */
+    constructor()
+    {
+        /**
+         * The outcome for each model, formatted {model, status, exception}; the status is one of "succeeded",
+         * "failed" or "cancelled" (when a listener cancelled the operation for the model).
+         *
+         * @type {Array}
+         */
+        this.entries = [];
+    }
+
+    /**
+     * Records that the operation succeeded for a model.
+     *
+     * @param {Model} model
+     * @returns {BulkReport}
+     */
+    succeeded(model)
+    {
+        this.entries.push({model: model, status: 'succeeded', exception: null});
+        return this;
+    }
+
+    /**
+     * Records that the operation failed for a model.
+     *
+     * @param {Model} model
+     * @param {JsModelException} exception
+     * @returns {BulkReport}
+     */
+    failed(model, exception)
+    {
+        this.entries.push({model: model, status: 'failed', exception: exception});
+        return this;
+    }
+
+    /**
+     * Records that the operation was cancelled for a model.
+     *
+     * @param {Model} model
+     * @returns {BulkReport}
+     */
+    cancelled(model)
+    {
+        this.entries.push({model: model, status: 'cancelled', exception: null});
+        return this;
+    }
+
+    /**
+     * Gets the entries with a status.
+     *
+     * @param {String} status
+     * @returns {Array}
+     */
+    withStatus(status)
+    {
+        return this.entries.filter((entry) => entry.status === status);
+    }
+
+    /**
+     * Determines whether the operation failed for any model.
+     *
+     * @returns {Boolean}
+     */
+    hasFailures()
+    {
+        return this.withStatus('failed').length > 0;
+    }
+}
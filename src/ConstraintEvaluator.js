@@ -0,0 +1,107 @@
+/**
+ * Evaluates the constraints of a query against models in memory, so that the results of a query can be filtered
+ * without sending a request.
+ *
+ * Filters are compared against the raw attribute of the same name and conditions are combined in the same way as in
+ * SQL, so AND takes precedence over OR.
+ */
+export default class ConstraintEvaluator
+{
+    /**
+     * Constructor
+     *
+     * @param {Array} constraints The constraints of a query, as returned by Builder.getConstraints.
+     */
+    constructor(constraints)
+    {
+        this.constraints = constraints;
+    }
+
+    /**
+     * Determines whether a model matches the constraints.
+     *
+     * @param {Model} model
+     * @returns {Boolean}
+     */
+    matches(model)
+    {
+        return this.matchesAll(this.constraints, model);
+    }
+
+    /**
+     * Determines whether a model matches a set of constraints.
+     *
+     * @param {Array} constraints
+     * @param {Model} model
+     * @returns {Boolean}
+     */
+    matchesAll(constraints, model)
+    {
+        // Conditions joined by AND form a run; a model matches when it matches every condition of any run.
+        let run = true;
+        for(let i=0; i < constraints.length; ++i) {
+            if(i > 0 && constraints[i].boolean === 'or') {
+                if(run) {
+                    return true;
+                }
+                run = true;
+            }
+            if(run) {
+                run = constraints[i].group != null
+                    ? this.matchesAll(constraints[i].group, model)
+                    : this.matchesCondition(constraints[i], model.attributes[constraints[i].filter]);
+            }
+        }
+        return run;
+    }
+
+    /**
+     * Determines whether a value matches a condition.
+     *
+     * @param {{operator: String, value: *}} condition
+     * @param {*} value
+     * @returns {Boolean}
+     */
+    matchesCondition(condition, value)
+    {
+        let expected = condition.value;
+        switch(condition.operator) {
+            case 'eq':
+            case 'in':
+                return [].concat(expected).some((item) => item == value);
+            case 'ne':
+            case 'not_in':
+                return ![].concat(expected).some((item) => item == value);
+            case 'gt':
+                return value != null && value > expected;
+            case 'gte':
+                return value != null && value >= expected;
+            case 'lt':
+                return value != null && value < expected;
+            case 'lte':
+                return value != null && value <= expected;
+            case 'between':
+                return value != null && value >= expected[0] && value <= expected[1];
+            case 'null':
+                return value == null;
+            case 'not_null':
+                return value != null;
+            case 'like':
+                return value != null && likePattern(expected).test(String(value));
+            default:
+                return false;
+        }
+    }
+}
+
+/**
+ * Converts a like pattern into a case insensitive regular expression.
+ *
+ * @param {String} pattern
+ * @returns {RegExp}
+ */
+function likePattern(pattern)
+{
+    let escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, 'i');
+}
@@ -0,0 +1,137 @@
+/**
+ * A collection of error messages keyed by the attribute (field) that they relate to.
+ */
+export default class ErrorBag
+{
+    /**
+     * Constructor
+     *
+     * @param {Object|ErrorBag} [errors={}] Messages keyed by attribute; each can be a message or an array of them.
+     */
+    constructor(errors = {})
+    {
+        this.messages = {};
+        this.merge(errors);
+    }
+
+    /**
+     * Adds a message for an attribute.
+     *
+     * @param {String} key
+     * @param {String} message
+     * @returns {ErrorBag}
+     */
+    add(key, message)
+    {
+        if(!this.messages.hasOwnProperty(key)) {
+            this.messages[key] = [];
+        }
+        this.messages[key].push(message);
+        return this;
+    }
+
+    /**
+     * Merges a set of messages into the bag.
+     *
+     * @param {Object|ErrorBag} errors Messages keyed by attribute; each can be a message or an array of them.
+     * @returns {ErrorBag}
+     */
+    merge(errors)
+    {
+        let messages = errors instanceof ErrorBag ? errors.all() : errors;
+        for(let key in messages) {
+            let list = messages[key] instanceof Array ? messages[key] : [messages[key]];
+            for(let i=0; i < list.length; ++i) {
+                this.add(key, String(list[i]));
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Determines whether there are any messages for an attribute.
+     *
+     * @param {String} key
+     * @returns {Boolean}
+     */
+    has(key)
+    {
+        return this.messages.hasOwnProperty(key) && this.messages[key].length > 0;
+    }
+
+    /**
+     * Determines whether the bag contains any messages.
+     *
+     * @returns {Boolean}
+     */
+    any()
+    {
+        return this.count() > 0;
+    }
+
+    /**
+     * Gets the number of messages in the bag.
+     *
+     * @returns {int}
+     */
+    count()
+    {
+        let count = 0;
+        for(let key in this.messages) {
+            count += this.messages[key].length;
+        }
+        return count;
+    }
+
+    /**
+     * Gets the messages for an attribute.
+     *
+     * @param {String} key
+     * @returns {Array}
+     */
+    get(key)
+    {
+        return this.has(key) ? this.messages[key].slice() : [];
+    }
+
+    /**
+     * Gets the first message for an attribute; returns null if there are none.
+     *
+     * @param {String} key
+     * @returns {String|null}
+     */
+    first(key)
+    {
+        return this.has(key) ? this.messages[key][0] : null;
+    }
+
+    /**
+     * Gets all of the messages in the bag, keyed by attribute.
+     *
+     * @returns {Object}
+     */
+    all()
+    {
+        let messages = {};
+        for(let key in this.messages) {
+            messages[key] = this.messages[key].slice();
+        }
+        return messages;
+    }
+
+    /**
+     * Removes the messages for an attribute, or all messages when no attribute is given.
+     *
+     * @param {String} [key=null]
+     * @returns {ErrorBag}
+     */
+    clear(key = null)
+    {
+        if(key == null) {
+            this.messages = {};
+        } else {
+            delete this.messages[key];
+        }
+        return this;
+    }
+}
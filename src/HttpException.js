@@ -0,0 +1,44 @@
+import JsModelException from "./JsModelException";
+
+/**
+ * An exception that is raised when a request fails or receives an unsuccessful response.
+ *
+ * More specific subclasses are raised for common failures: NetworkException, ValidationException, NotFoundException,
+ * AuthorizationException and ServerException.
+ */
+export default class HttpException extends JsModelException {
+    /**
+     * Constructor
+     *
+     * @param {String} message
+     * @param {Object} request The request that was sent, formatted {method, url, headers, data}.
+     * @param {Object|null} [response=null] The response that was received, formatted {status, headers, data}; null
+     * when a response could not be received.
+     * @param {Model|null} [model=null] The model that the request was for.
+     */
+    constructor(message, request, response = null, model = null) {
+        super(message);
+
+        /**
+         * @type {Object}
+         */
+        this.request = request;
+
+        /**
+         * @type {Object|null}
+         */
+        this.response = response;
+
+        /**
+         * @type {Model|null}
+         */
+        this.model = model;
+
+        /**
+         * The status code of the response; 0 when a response could not be received.
+         *
+         * @type {int}
+         */
+        this.status = response != null ? response.status : 0;
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * A map of the model instances that have been loaded, keyed by model class and primary key, so that the same record
+ * is represented by the same instance across queries.
+ */
+export default class IdentityMap
+{
+    /**
+     * Constructor.
+     */
+    constructor()
+    {
+        /**
+         * Maps of models keyed by primary key, keyed by model class.
+         *
+         * @type {Map}
+         */
+        this.models = new Map();
+    }
+
+    /**
+     * Gets the model with a primary key; returns null if it is not in the map.
+     *
+     * @param {Function} constructor The class of the model.
+     * @param {*} key The value of the primary key; composite keys should be given as an object keyed by attribute.
+     * @returns {Model|null}
+     */
+    get(constructor, key)
+    {
+        let models = this.models.get(constructor);
+        return models != null && models.has(serializeKey(key)) ? models.get(serializeKey(key)) : null;
+    }
+
+    /**
+     * Determines whether the map holds a model with a primary key.
+     *
+     * @param {Function} constructor The class of the model.
+     * @param {*} key
+     * @returns {Boolean}
+     */
+    has(constructor, key)
+    {
+        return this.get(constructor, key) != null;
+    }
+
+    /**
+     * Adds a model to the map, replacing any other instance with the same primary key.
+     *
+     * @param {Model} model
+     * @returns {IdentityMap}
+     */
+    add(model)
+    {
+        if(!model.hasKey()) {
+            return this;
+        }
+        if(!this.models.has(model.constructor)) {
+            this.models.set(model.constructor, new Map());
+        }
+        this.models.get(model.constructor).set(serializeKey(model.getKey()), model);
+        return this;
+    }
+
+    /**
+     * Removes a model from the map.
+     *
+     * @param {Model|Function} model A model, or the class of the model when a key is given.
+     * @param {*} [key] The primary key of the model to remove, when a class is given.
+     * @returns {IdentityMap}
+     */
+    evict(model, key = undefined)
+    {
+        let constructor = key === undefined ? model.constructor : model;
+        let models = this.models.get(constructor);
+        if(models != null) {
+            models.delete(serializeKey(key === undefined ? model.getKey() : key));
+        }
+        return this;
+    }
+
+    /**
+     * Removes every model of a class from the map, or every model when no class is given.
+     *
+     * @param {Function} [constructor=null]
+     * @returns {IdentityMap}
+     */
+    clear(constructor = null)
+    {
+        if(constructor == null) {
+            this.models.clear();
+        } else {
+            this.models.delete(constructor);
+        }
+        return this;
+    }
+}
+
+/**
+ * Serializes a primary key so that it can be used as a map key.
+ *
+ * @param {*} key
+ * @returns {String}
+ */
+function serializeKey(key)
+{
+    if(key == null || typeof key !== 'object') {
+        return String(key);
+    }
+    return JSON.stringify(Object.keys(key).sort().map((name) => [name, key[name]]));
+}
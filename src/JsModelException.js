@@ -1,18 +1,31 @@
 /**
  * A base exception class that all exceptions within the js_model package will extend.
  */
-export default class JsModelException{
+export default class JsModelException extends Error {
     /**
      * Constructor
      *
      * @param {String} message
      */
     constructor(message) {
+        super(message);
+
+        /**
+         * @type {String}
+         */
+        this.name = this.constructor.name;
 
         /**
          * @type {String}
          */
         this.message = message;
+
+        // Transpiled subclasses of Error do not receive a stack trace from the Error constructor.
+        if(typeof Error.captureStackTrace === 'function') {
+            Error.captureStackTrace(this, this.constructor);
+        } else {
+            this.stack = (new Error(message)).stack;
+        }
     }
 
     /**
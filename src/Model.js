@@ -1,7 +1,119 @@
 import Builder from "./Builder";
 import ModelCollection from "./ModelCollection";
+import FetchTransport from "./transports/FetchTransport";
+import Relation from "./relations/Relation";
+import HasMany from "./relations/HasMany";
+import HasOne from "./relations/HasOne";
+import BelongsTo from "./relations/BelongsTo";
+import DateCaster from "./casts/DateCaster";
+import IntegerCaster from "./casts/IntegerCaster";
+import FloatCaster from "./casts/FloatCaster";
+import BooleanCaster from "./casts/BooleanCaster";
+import JsonCaster from "./casts/JsonCaster";
+import ArrayCaster from "./casts/ArrayCaster";
+import UnknownCastException from "./UnknownCastException";
+import Validator from "./Validator";
+import ErrorBag from "./ErrorBag";
+import IdentityMap from "./IdentityMap";
+import ValidationException from "./ValidationException";
+import ModelNotPersistedException from "./ModelNotPersistedException";
+import {camelCase} from "./support/str";
+import {register, unregister, registered} from "./support/registry";
+import {isEqual, diff, escape} from "./support/diff";
+import settle from "./support/settle";
 import clone  from 'clone';
 
+/**
+ * The transport used by models that do not define their own; a FetchTransport is created when it is first needed if
+ * none has been set, so that jQuery is only bundled by applications that use the JQueryTransport.
+ *
+ * @type {Transport|null}
+ */
+let default_transport = null;
+
+/**
+ * The response cache used by models that do not define their own.
+ *
+ * @type {ResponseCache|null}
+ */
+let default_cache = null;
+
+/**
+ * The retry policy used by models that do not define their own.
+ *
+ * @type {RetryPolicy|null}
+ */
+let default_retry_policy = null;
+
+/**
+ * The offline queue used by models that do not define their own.
+ *
+ * @type {OfflineQueue|null}
+ */
+let default_offline_queue = null;
+
+/**
+ * The event listeners that have been registered for each model class.
+ *
+ * @type {Map}
+ */
+const class_listeners = new Map();
+
+/**
+ * The global scopes that have been registered for each model class.
+ *
+ * @type {Map}
+ */
+const class_scopes = new Map();
+
+/**
+ * The status handlers that have been registered for each model class.
+ *
+ * @type {Map}
+ */
+const class_status_handlers = new Map();
+
+/**
+ * The middleware that has been registered for each model class.
+ *
+ * @type {Map}
+ */
+const class_middleware = new Map();
+
+/**
+ * The identity map that is shared by the models that opt in to it.
+ *
+ * @type {IdentityMap}
+ */
+const identity_map = new IdentityMap();
+
+/**
+ * The events that are fired by models.
+ *
+ * @type {Array}
+ */
+const events = [
+    'saving', 'saved', 'creating', 'created', 'updating', 'updated', 'deleting', 'deleted', 'hydrated',
+    'restoring', 'restored', 'forceDeleting', 'forceDeleted'
+];
+
+/**
+ * The casters that can be referred to by name in the "casts" map of a model.
+ *
+ * @type {Object}
+ */
+const named_casters = {
+    date: DateCaster,
+    datetime: DateCaster,
+    integer: IntegerCaster,
+    int: IntegerCaster,
+    float: FloatCaster,
+    double: FloatCaster,
+    boolean: BooleanCaster,
+    bool: BooleanCaster,
+    json: JsonCaster,
+    array: ArrayCaster
+};
 
 /**
  * A base Model class.
@@ -10,84 +122,691 @@ export default class Model {
     /**
      * Constructor
      *
-     * @param {Object} [data={}]
+     * @param {Object} [data={}]
+     */
+    constructor(data = {})
+    {
+        this.url = '/';
+        this.primary_key = 'id';
+        this.primary_filter = 'id';
+        this.incrementing = true;
+        this.routes = 'classic';
+        this.soft_deletes = false;
+        this.deleted_at_attribute = 'deleted_at';
+        this.identity_map = false;
+        this.original = {};
+        this.attributes = {};
+        this.syncing = false;
+        this.exists = false;
+        this.default_attributes = {};
+        this.casts = {created_at: 'date', updated_at: 'date'};
+        this.transport = null;
+        this.cache = null;
+        this.retry_policy = null;
+        this.middleware = [];
+        this.bulk_requests = false;
+        this.concurrency = 4;
+        this.offline_queue = null;
+        this.relations = {};
+        this.rules = {};
+        this.errors = new ErrorBag();
+        this.listeners = [];
+        this.saved_changes = {};
+        this.hydrate(data);
+    }
+
+    /**
+     * Registers a listener for an event that is fired by every instance of a model class (and the classes that
+     * extend it).
+     *
+     * The events are saving, saved, creating, created, updating, updated, deleting, deleted, hydrated, restoring,
+     * restored, forceDeleting and forceDeleted; listeners are passed the model that fired the event. Returning false
+     * from a listener for an event that is fired before an operation (such as saving or deleting) cancels it.
+     *
+     * @param {String} event
+     * @param {Function} listener
+     */
+    static on(event, listener)
+    {
+        register(class_listeners, this, {event: event, listener: listener});
+    }
+
+    /**
+     * Removes the listeners for an event that have been registered for a model class; all of its listeners are
+     * removed when no event is given.
+     *
+     * @param {String} [event=null]
+     * @param {Function} [listener=null] A specific listener to remove.
+     */
+    static off(event = null, listener = null)
+    {
+        unregister(class_listeners, this, (registration) => {
+            return (event == null || registration.event === event)
+                && (listener == null || registration.listener === listener);
+        });
+    }
+
+    /**
+     * Registers an observer for a model class; an observer is an object with methods named after the events that
+     * it listens for.
+     *
+     * @param {Object} observer
+     */
+    static observe(observer)
+    {
+        for(let i=0; i < events.length; ++i) {
+            if(typeof observer[events[i]] === 'function') {
+                this.on(events[i], (model) => observer[events[i]](model));
+            }
+        }
+    }
+
+    /**
+     * Registers a global scope for a model class (and the classes that extend it); global scopes are applied to every
+     * query for the class unless they are removed using Builder.withoutGlobalScope.
+     *
+     * @param {String} name
+     * @param {Function|{apply: Function}} scope A function, or an object with an apply method, that is passed the
+     * query builder and the model that the query is for.
+     */
+    static addGlobalScope(name, scope)
+    {
+        register(class_scopes, this, {name: name, scope: scope});
+    }
+
+    /**
+     * Removes a global scope that has been registered for a model class.
+     *
+     * @param {String} name
+     */
+    static removeGlobalScope(name)
+    {
+        unregister(class_scopes, this, (registration) => registration.name === name);
+    }
+
+    /**
+     * Sets the transport that is used by models that do not define their own.
+     *
+     * @param {Transport} transport
+     */
+    static setDefaultTransport(transport)
+    {
+        default_transport = transport;
+    }
+
+    /**
+     * Gets the transport that is used by models that do not define their own; defaults to a FetchTransport.
+     *
+     * @returns {Transport}
+     */
+    static getDefaultTransport()
+    {
+        if(default_transport == null) {
+            default_transport = new FetchTransport();
+        }
+        return default_transport;
+    }
+
+    /**
+     * Sets the response cache that is used by models that do not define their own; pass null to stop caching.
+     *
+     * @param {ResponseCache|null} cache
+     */
+    static setDefaultCache(cache)
+    {
+        default_cache = cache;
+    }
+
+    /**
+     * Gets the response cache that is used by models that do not define their own.
+     *
+     * @returns {ResponseCache|null}
+     */
+    static getDefaultCache()
+    {
+        return default_cache;
+    }
+
+    /**
+     * Sets the retry policy that is used by models that do not define their own; pass null to stop retrying.
+     *
+     * @param {RetryPolicy|null} policy
+     */
+    static setDefaultRetryPolicy(policy)
+    {
+        default_retry_policy = policy;
+    }
+
+    /**
+     * Gets the retry policy that is used by models that do not define their own.
+     *
+     * @returns {RetryPolicy|null}
+     */
+    static getDefaultRetryPolicy()
+    {
+        return default_retry_policy;
+    }
+
+    /**
+     * Sets the offline queue that is used by models that do not define their own; pass null to stop queueing writes.
+     *
+     * @param {OfflineQueue|null} queue
+     */
+    static setDefaultOfflineQueue(queue)
+    {
+        default_offline_queue = queue;
+    }
+
+    /**
+     * Gets the offline queue that is used by models that do not define their own.
+     *
+     * @returns {OfflineQueue|null}
+     */
+    static getDefaultOfflineQueue()
+    {
+        return default_offline_queue;
+    }
+
+    /**
+     * Registers a handler for requests for a model class (and the classes that extend it) that fail with a status;
+     * the status of requests that could not reach the api is 0.
+     *
+     * Handlers are passed the exception and the model that the request was for. A handler that returns true, or a
+     * promise that resolves with true, has the request sent again; this happens at most once per request, so it can
+     * be used to re-authenticate on a 401, for example.
+     *
+     * @param {int} status
+     * @param {Function} handler
+     */
+    static onStatus(status, handler)
+    {
+        register(class_status_handlers, this, {status: status, handler: handler});
+    }
+
+    /**
+     * Removes the status handlers that have been registered for a model class; the handlers for every status are
+     * removed when no status is given.
+     *
+     * @param {int} [status=null]
+     * @param {Function} [handler=null] A specific handler to remove.
+     */
+    static offStatus(status = null, handler = null)
+    {
+        unregister(class_status_handlers, this, (registration) => {
+            return (status == null || registration.status === status)
+                && (handler == null || registration.handler === handler);
+        });
+    }
+
+    /**
+     * Registers middleware for the requests of a model class (and the classes that extend it); middleware registered
+     * for Model applies to every request.
+     *
+     * Middleware is passed the request, formatted {method, url, headers, data, signal}, and a next function that sends
+     * a request on and returns a promise of its response, formatted {status, headers, data}. It returns the response
+     * (or a promise of it) and may modify the request before it is sent and the response before it is used; for
+     * example, to add headers or to unwrap a payload that does not keep its results in "data". Middleware that does
+     * not call next short-circuits the request with the response it returns.
+     *
+     * The middleware in the "middleware" property of a model runs first, so that it also sees the responses of
+     * registered middleware that short-circuits a request; registered middleware then runs in the order in which it is
+     * registered, starting with that of the base classes.
+     *
+     * @param {Function} middleware
+     */
+    static use(middleware)
+    {
+        register(class_middleware, this, middleware);
+    }
+
+    /**
+     * Removes middleware that has been registered for a model class; all of its middleware is removed when none is
+     * given.
+     *
+     * @param {Function} [middleware=null]
+     */
+    static removeMiddleware(middleware = null)
+    {
+        unregister(class_middleware, this, (registered) => middleware == null || registered === middleware);
+    }
+
+    /**
+     * Gets the identity map that is shared by models that set their "identity_map" property, so that each record is
+     * represented by a single instance across queries.
+     *
+     * @returns {IdentityMap}
+     */
+    static identityMap()
+    {
+        return identity_map;
+    }
+
+    /**
+     * Gets the response cache that the results of queries for a model are kept in; returns null when they are not
+     * cached.
+     *
+     * @returns {ResponseCache|null}
+     */
+    getCache()
+    {
+        return this.cache != null ? this.cache : default_cache;
+    }
+
+    /**
+     * Gets the policy for retrying the requests for a model; returns null when they are not retried.
+     *
+     * @returns {RetryPolicy|null}
+     */
+    getRetryPolicy()
+    {
+        return this.retry_policy != null ? this.retry_policy : default_retry_policy;
+    }
+
+    /**
+     * Gets the queue that writes for a model are queued in while the api cannot be reached; returns null when they
+     * are not queued.
+     *
+     * @returns {OfflineQueue|null}
+     */
+    getOfflineQueue()
+    {
+        return this.offline_queue != null ? this.offline_queue : default_offline_queue;
+    }
+
+    /**
+     * Gets the middleware that requests for a model are sent through, in order.
+     *
+     * @returns {Array}
+     */
+    getMiddleware()
+    {
+        return this.middleware.concat(registered(class_middleware, this.constructor));
+    }
+
+    /**
+     * Calls the status handlers that are registered for the status of a failed request.
+     *
+     * @param {HttpException} exception
+     * @returns {Promise} Resolves with whether the request should be sent again.
+     */
+    handleStatus(exception)
+    {
+        let registrations = registered(class_status_handlers, this.constructor);
+        let results = [];
+        for(let i=0; i < registrations.length; ++i) {
+            if(registrations[i].status === exception.status) {
+                results.push(registrations[i].handler(exception, this));
+            }
+        }
+        return Promise.all(results).then((results) => results.indexOf(true) !== -1);
+    }
+
+    /**
+     * Gets the identity map that the instances of a model are kept in; returns null for models that do not use one.
+     *
+     * @returns {IdentityMap|null}
+     */
+    getIdentityMap()
+    {
+        return this.identity_map ? identity_map : null;
+    }
+
+    /**
+     * Gets the transport that should be used to send requests for a model.
+     *
+     * @returns {Transport}
+     */
+    getTransport()
+    {
+        return this.transport != null ? this.transport : Model.getDefaultTransport();
+    }
+
+    /**
+     * Registers a listener for an event that is fired by a model instance.
+     *
+     * @param {String} event
+     * @param {Function} listener
+     * @returns {Model}
+     */
+    on(event, listener)
+    {
+        this.listeners.push({event: event, listener: listener});
+        return this;
+    }
+
+    /**
+     * Removes the listeners for an event from a model instance; all of its listeners are removed when no event is
+     * given.
+     *
+     * @param {String} [event=null]
+     * @param {Function} [listener=null] A specific listener to remove.
+     * @returns {Model}
+     */
+    off(event = null, listener = null)
+    {
+        this.listeners = this.listeners.filter((registration) => {
+            return !((event == null || registration.event === event)
+                && (listener == null || registration.listener === listener));
+        });
+        return this;
+    }
+
+    /**
+     * Fires an event, calling the listeners registered for the class of a model before those registered for the
+     * model itself.
+     *
+     * @param {String} event
+     * @returns {Boolean} False if a listener returned false, in which case no further listeners are called.
+     */
+    fireEvent(event)
+    {
+        let listeners = registered(class_listeners, this.constructor).concat(this.listeners);
+        for(let i=0; i < listeners.length; ++i) {
+            if(listeners[i].event === event && listeners[i].listener(this) === false) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Gets the global scopes that apply to queries for a model, keyed by name.
+     *
+     * @returns {Object}
+     */
+    globalScopes()
+    {
+        let scopes = {};
+        if(this.soft_deletes) {
+            scopes.soft_deletes = (query) => query.whereNull(this.deleted_at_attribute);
+        }
+        let registrations = registered(class_scopes, this.constructor);
+        for(let i=0; i < registrations.length; ++i) {
+            scopes[registrations[i].name] = registrations[i].scope;
+        }
+        return scopes;
+    }
+
+    /**
+     * Gets the names of the local scopes that are defined on a model; a local scope is a method prefixed with
+     * "scope", which is named without its prefix.
+     *
+     * @returns {Array}
+     */
+    localScopes()
+    {
+        let scopes = [];
+        for(let prototype = Object.getPrototypeOf(this); prototype != null && prototype !== Object.prototype; prototype = Object.getPrototypeOf(prototype)) {
+            let names = Object.getOwnPropertyNames(prototype);
+            for(let i=0; i < names.length; ++i) {
+                let match = /^scope([A-Z].*)$/.exec(names[i]);
+                if(match != null && typeof prototype[names[i]] === 'function') {
+                    let name = match[1].charAt(0).toLowerCase() + match[1].substring(1);
+                    if(scopes.indexOf(name) === -1) {
+                        scopes.push(name);
+                    }
+                }
+            }
+        }
+        return scopes;
+    }
+
+    /**
+     * Creates a new query builder instance with its ordering configured.
+     *
+     * @param {...*} orderings A set of orderings formatted {attribute, order_direction, ...}
+     * @returns {Builder}
+     */
+    orderBy(...orderings)
+    {
+        let query = this.query();
+        return query.orderBy.apply(query, orderings);
+    }
+
+    /**
+     * Populates a new model with a set of data.
+     *
+     * Nested data for a relationship that is defined on the model is converted into related model instances rather
+     * than being stored as an attribute.
+     *
+     * @param {Object} attributes
+     * @returns {Model}
+     */
+    hydrate(attributes) {
+        for(var key in attributes) {
+            let relation = this._relationFor(key, attributes[key]);
+            if(relation != null) {
+                this.setRelation(relation.name, relation.hydrateRelated(attributes[key]));
+                if(relation.name !== key) {
+                    Object.defineProperty(this, key, {
+                        "configurable": true,
+                        "get": () => this.getRelation(relation.name)
+                    });
+                }
+                continue;
+            }
+            this.attributes[key] = attributes[key];
+            this.original[key] = clone(attributes[key]);
+            this._defineAccessor(key);
+        }
+        if(attributes != null && Object.keys(attributes).length > 0) {
+            this.fireEvent('hydrated');
+        }
+        return this;
+    }
+
+    /**
+     * Populates a model with data from the api without discarding changes that have not been saved; the original
+     * values of changed attributes are updated, so they remain dirty unless they match the new data.
+     *
+     * @param {Object} attributes
+     * @returns {Model}
+     */
+    merge(attributes) {
+        let clean = {};
+        for(let key in attributes) {
+            if(this._isChanged(key)) {
+                this.original[key] = clone(attributes[key]);
+            } else {
+                clean[key] = attributes[key];
+            }
+        }
+        return this.hydrate(clean);
+    }
+
+    /**
+     * Gets the value of an attribute, cast using the caster defined for it in the "casts" map.
+     *
+     * @param {String} key
+     * @returns {*}
+     */
+    getAttribute(key) {
+        let caster = this.getCaster(key);
+        return caster != null ? caster.get(this.attributes[key], key, this) : this.attributes[key];
+    }
+
+    /**
+     * Sets the value of an attribute, defining an accessor for it if it does not already have one.
+     *
+     * The value is stored in its raw form, as converted by the caster defined for it in the "casts" map.
+     *
+     * @param {String} key
+     * @param {*} value
+     * @returns {Model}
+     */
+    setAttribute(key, value) {
+        if(!this.attributes.hasOwnProperty(key)) {
+            this._defineAccessor(key);
+        }
+        let caster = this.getCaster(key);
+        this.attributes[key] = caster != null ? caster.set(value, key, this) : value;
+        return this;
+    }
+
+    /**
+     * Defines a getter and setter for an attribute of a model.
+     *
+     * @param {String} key
+     * @private
+     */
+    _defineAccessor(key) {
+        Object.defineProperty(this, key, {
+            "configurable": true,
+            "get": () => this.getAttribute(key),
+            "set": (value) => this.setAttribute(key, value)
+        });
+    }
+
+    /**
+     * Gets the caster for an attribute; returns null if the attribute is not cast.
+     *
+     * Casts can be defined as the name of a built in caster (date, integer, float, boolean, json or array), a caster
+     * class or a caster instance.
+     *
+     * @param {String} key
+     * @returns {Caster|null}
+     */
+    getCaster(key) {
+        let cast = this.casts != null ? this.casts[key] : null;
+        if(cast == null) {
+            return null;
+        }
+        if(typeof cast === 'string') {
+            if(!named_casters.hasOwnProperty(cast)) {
+                throw new UnknownCastException(`Cannot cast attribute "${key}" to unknown type "${cast}"!`);
+            }
+            return new named_casters[cast]();
+        }
+        return typeof cast === 'function' ? new cast() : cast;
+    }
+
+    /**
+     * Converts a set of attribute values into their raw form, ready to be sent to an api.
+     *
+     * @param {Object} attributes
+     * @returns {Object}
+     */
+    serialize(attributes) {
+        let serialized = {};
+        for(let key in attributes) {
+            let caster = this.getCaster(key);
+            serialized[key] = caster != null ? caster.set(attributes[key], key, this) : attributes[key];
+        }
+        return serialized;
+    }
+
+    /**
+     * Defines a relationship where a model owns many related models.
+     *
+     * @param {Function|Model} related The related model class, or an instance of it.
+     * @param {String} foreign_key The attribute of the related models that holds the key of this model.
+     * @param {String} [local_key=null] The attribute of this model that the foreign key refers to; defaults to the
+     * primary key.
+     * @returns {HasMany}
+     */
+    hasMany(related, foreign_key, local_key = null) {
+        return new HasMany(this, this._newRelated(related), foreign_key, local_key != null ? local_key : this.primary_key);
+    }
+
+    /**
+     * Defines a relationship where a model owns a single related model.
+     *
+     * @param {Function|Model} related The related model class, or an instance of it.
+     * @param {String} foreign_key The attribute of the related model that holds the key of this model.
+     * @param {String} [local_key=null] The attribute of this model that the foreign key refers to; defaults to the
+     * primary key.
+     * @returns {HasOne}
+     */
+    hasOne(related, foreign_key, local_key = null) {
+        return new HasOne(this, this._newRelated(related), foreign_key, local_key != null ? local_key : this.primary_key);
+    }
+
+    /**
+     * Defines a relationship where a model is owned by another model.
+     *
+     * @param {Function|Model} related The owning model class, or an instance of it.
+     * @param {String} foreign_key The attribute of this model that holds the key of the owning model.
+     * @param {String} [owner_key=null] The attribute of the owning model that the foreign key refers to; defaults to
+     * the primary key of the owning model.
+     * @returns {BelongsTo}
+     */
+    belongsTo(related, foreign_key, owner_key = null) {
+        let instance = this._newRelated(related);
+        return new BelongsTo(this, instance, foreign_key, owner_key != null ? owner_key : instance.primary_key);
+    }
+
+    /**
+     * Creates an instance of a related model.
+     *
+     * @param {Function|Model} related
+     * @returns {Model}
+     * @private
+     */
+    _newRelated(related) {
+        return related instanceof Model ? new related.constructor() : new related();
+    }
+
+    /**
+     * Resolves the relation that a key of nested payload data belongs to; returns null if the key does not refer to
+     * a relationship that is defined on the model.
+     *
+     * Relationships are defined as methods and can be referred to by their name or its snake cased equivalent.
+     *
+     * @param {String} key
+     * @param {*} value
+     * @returns {Relation|null}
+     * @private
      */
-    constructor(data = {})
-    {
-        this.url = '/';
-        this.primary_key = 'id';
-        this.primary_filter = 'id';
-        this.original = {};
-        this.attributes = {};
-        this.syncing = false;
-        this.exists = false;
-        this.default_attributes = {};
-        this.dates = ['created_at', 'updated_at'];
-        this.hydrate(data);
+    _relationFor(key, value) {
+        if(value == null || typeof value !== 'object') {
+            return null;
+        }
+        let names = [key, camelCase(key)];
+        for(let i=0; i < names.length; ++i) {
+            let name = names[i];
+            if(typeof this[name] === 'function' && !(name in Model.prototype)) {
+                let relation = this[name]();
+                if(relation instanceof Relation) {
+                    relation.name = name;
+                    return relation;
+                }
+            }
+        }
+        return null;
     }
 
     /**
-     * Creates a new query builder instance with its ordering configured.
+     * Gets the loaded value of a relationship.
      *
-     * @param {...*} orderings A set of orderings formatted {attribute, order_direction, ...}
-     * @returns {Builder}
+     * @param {String} name
+     * @returns {*}
      */
-    orderBy(...orderings)
-    {
-        let query = this.query();
-        return query.orderBy.apply(query, orderings);
+    getRelation(name) {
+        return this.relations.hasOwnProperty(name) ? this.relations[name] : null;
     }
 
     /**
-     * Populates a new model with a set of data.
+     * Sets the loaded value of a relationship.
      *
-     * @param {Object} attributes
+     * @param {String} name
+     * @param {*} value
      * @returns {Model}
      */
-    hydrate(attributes) {
-        for(var key in attributes) {
-            this.attributes[key] = attributes[key];
-            this.original[key] = attributes[key];
-            var attribute_name = key;
-
-            // Define getters and setters for the model.
-            if(this.dates.indexOf(key) != -1) {
-                Object.defineProperty(this, key, {
-                    "configurable": true,
-                    "get": (function(attribute_name) {
-                        return function() {
-                            return moment(this.attributes[attribute_name]);
-                        }
-                    })(attribute_name),
-                    "set": (function(attribute_name) {
-                        return function(value) {
-                            if(typeof value._isAMomentObject != 'undefined' && value._isAMomentObject == true) {
-                                this.attributes[attribute_name] = value.format();
-                            } else {
-                                this.attributes[attribute_name] = value;
-                            }
-                        }
-                    })(attribute_name)
-                });
-            } else {
-                Object.defineProperty(this, key, {
-                    "configurable": true,
-                    "get": (function(attribute_name) {
-                        return function() {
-                            return this.attributes[attribute_name];
-                        }
-                    })(attribute_name),
-                    "set": (function(attribute_name) {
-                        return function(value) {
-                            this.attributes[attribute_name] = value;
-                        }
-                    })(attribute_name)
-                });
-            }
-        }
+    setRelation(name, value) {
+        this.relations[name] = value;
         return this;
     }
 
+    /**
+     * Determines whether a relationship has been loaded.
+     *
+     * @param {String} name
+     * @returns {Boolean}
+     */
+    relationLoaded(name) {
+        return this.relations.hasOwnProperty(name);
+    }
+
     /**
      * Gets a new query builder instance.
      *
@@ -105,32 +824,165 @@ export default class Model {
     }
 
     /**
-     * Creates a builder for performing queries about a model.
+     * Creates a builder for performing queries about a model, with a where condition added to it.
      *
-     * @param {*} attribute
-     * @param {*} value
+     * @param {String|Function} attribute
+     * @param {...*} args Either a value, or an operator and a value (see Builder#where).
      * @returns {Builder}
      */
-    where(attribute, value) {
-        return this.query().where(attribute, value);
+    where(attribute, ...args) {
+        let query = this.query();
+        return query.where.apply(query, [attribute].concat(args));
     }
 
     /**
      * Attempts to find a model with a specific id.
      *
-     * @param {*} id
-     * @param {Function} success
-     * @param {Function} error
-     * @returns {ModelCollection}
+     * @param {*} id The value of the primary key; composite keys should be given as an object keyed by attribute.
+     * @param {Function} [success]
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with a collection of the matching models.
      */
     find(id, success, error) {
-        return this.where(this.primary_key, id).get(success, error);
+        let query = this.query();
+        let keys = this.getKeyNames();
+        let filters = this.getKeyFilters();
+        for(let i=0; i < keys.length; ++i) {
+            query.where(filters[i], keys.length > 1 ? id[keys[i]] : id);
+        }
+        return query.get(success, error);
+    }
+
+    /**
+     * Gets the names of the attributes that make up the primary key of a model.
+     *
+     * @returns {Array}
+     */
+    getKeyNames() {
+        return [].concat(this.primary_key);
+    }
+
+    /**
+     * Gets the names of the filters that constrain a query by the primary key of a model, in the same order as the
+     * attributes returned by getKeyNames; the names of the attributes are used when the "primary_filter" does not
+     * name a filter for each of them.
+     *
+     * @returns {Array}
+     */
+    getKeyFilters() {
+        let keys = this.getKeyNames();
+        let filters = this.primary_filter != null ? [].concat(this.primary_filter) : keys;
+        return filters.length === keys.length ? filters : keys;
+    }
+
+    /**
+     * Gets the value of the primary key of a model; composite keys are returned as an object keyed by attribute.
+     *
+     * @returns {*}
+     */
+    getKey() {
+        let keys = this.getKeyNames();
+        if(keys.length === 1) {
+            return this.attributes[keys[0]];
+        }
+        let key = {};
+        for(let i=0; i < keys.length; ++i) {
+            key[keys[i]] = this.attributes[keys[i]];
+        }
+        return key;
+    }
+
+    /**
+     * Sets the value of the primary key of a model; composite keys should be given as an object keyed by attribute.
+     *
+     * @param {*} value
+     * @returns {Model}
+     */
+    setKey(value) {
+        let keys = this.getKeyNames();
+        for(let i=0; i < keys.length; ++i) {
+            this.setAttribute(keys[i], keys.length > 1 ? value[keys[i]] : value);
+        }
+        return this;
+    }
+
+    /**
+     * Determines whether a model has a value for every part of its primary key.
+     *
+     * @returns {Boolean}
+     */
+    hasKey() {
+        let keys = this.getKeyNames();
+        for(let i=0; i < keys.length; ++i) {
+            if(this.attributes[keys[i]] == null) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Determines whether another model has the same primary key as a model.
+     *
+     * @param {Model} model
+     * @returns {Boolean}
+     */
+    is(model) {
+        if(model == null || !(model instanceof Model) || !this.hasKey()) {
+            return false;
+        }
+        let keys = this.getKeyNames();
+        for(let i=0; i < keys.length; ++i) {
+            if(model.attributes[keys[i]] != this.attributes[keys[i]]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Constrains a query to a model by its primary key.
+     *
+     * @param {Builder} query
+     * @returns {Builder}
+     */
+    whereKey(query) {
+        let keys = this.getKeyNames();
+        let filters = this.getKeyFilters();
+        for(let i=0; i < keys.length; ++i) {
+            query.where(filters[i], this.attributes[keys[i]]);
+        }
+        return query;
+    }
+
+    /**
+     * Generates a primary key on the client, for models that do not use incrementing keys; generates a version 4
+     * UUID by default.
+     *
+     * @returns {*}
+     */
+    newUniqueId() {
+        let bytes = new Array(16);
+        let crypto = typeof self !== 'undefined' ? self.crypto : (typeof global !== 'undefined' ? global.crypto : null);
+        if(crypto != null && typeof crypto.getRandomValues === 'function') {
+            bytes = Array.prototype.slice.call(crypto.getRandomValues(new Uint8Array(16)));
+        } else {
+            for(let i=0; i < 16; ++i) {
+                bytes[i] = Math.floor(Math.random() * 256);
+            }
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        let hex = bytes.map((byte) => (byte + 0x100).toString(16).substring(1)).join('');
+        return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20)}`;
     }
 
     /**
      * Gets all records for a model.
      *
-     * @returns {ModelCollection}
+     * @param {Function} [success]
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with a collection of models.
      */
     all(success, error) {
         return this.query().get(success, error);
@@ -143,90 +995,257 @@ export default class Model {
      * @returns {*}
      */
     newCollection(data) {
-        return new ModelCollection(data, this.primary_key);
+        return new ModelCollection(data, this);
     }
 
     /**
      * Gets the attributes of a model that have been changed.
      *
+     * Values are compared structurally, so changes made within nested objects and arrays are detected.
+     *
      * @returns Object
      */
     dirty() {
         var dirty = {};
         for(var key in this.attributes) {
-            var value = this.attributes[key];
-            if(value != this.original[key]) {
-                if(value != null && typeof value === 'object') {
-                    dirty[key] = jQuery.extend({}, this.attributes[key]);
-                } else {
-                    dirty[key] = value;
-                }
+            if(this._isChanged(key)) {
+                dirty[key] = clone(this.attributes[key]);
             }
         }
         return dirty;
     }
 
+    /**
+     * Determines whether an attribute has been changed since it was last synced with the api; when no attributes are
+     * given, determines whether any attribute has been changed.
+     *
+     * @param {...String} keys
+     * @returns {Boolean}
+     */
+    isDirty(...keys) {
+        keys = keys.length > 0 ? keys : Object.keys(this.attributes);
+        for(let i=0; i < keys.length; ++i) {
+            if(this._isChanged(keys[i])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Determines whether an attribute was changed by the last successful save of a model; when no attributes are
+     * given, determines whether any attribute was changed.
+     *
+     * @param {...String} keys
+     * @returns {Boolean}
+     */
+    wasChanged(...keys) {
+        if(keys.length === 0) {
+            return Object.keys(this.saved_changes).length > 0;
+        }
+        for(let i=0; i < keys.length; ++i) {
+            if(this.saved_changes.hasOwnProperty(keys[i])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Gets the attributes of a model that have been changed, formatted {attribute: {old, new}}.
+     *
+     * @returns {Object}
+     */
+    getChanges() {
+        let changes = {};
+        for(let key in this.attributes) {
+            if(this._isChanged(key)) {
+                changes[key] = {
+                    old: this.original.hasOwnProperty(key) ? clone(this.original[key]) : undefined,
+                    new: clone(this.attributes[key])
+                };
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Generates the JSON Patch (RFC 6902) operations that apply the changes made to a model, for use as the body of
+     * a PATCH request; attributes that have been removed since the model was synced are removed.
+     *
+     * @returns {Array}
+     */
+    toJsonPatch() {
+        let operations = [];
+        for(let key in this.original) {
+            if(this.original.hasOwnProperty(key) && !this.attributes.hasOwnProperty(key)) {
+                operations.push({op: 'remove', path: `/${escape(key)}`});
+            }
+        }
+        for(let key in this.attributes) {
+            if(!this._isChanged(key)) {
+                continue;
+            }
+            if(this.original.hasOwnProperty(key)) {
+                operations = operations.concat(diff(this.original[key], this.attributes[key], `/${escape(key)}`));
+            } else {
+                operations.push({op: 'add', path: `/${escape(key)}`, value: clone(this.attributes[key])});
+            }
+        }
+        return operations;
+    }
+
+    /**
+     * Marks the current attributes of a model as being in sync with the api.
+     *
+     * @returns {Model}
+     */
+    syncOriginal() {
+        this.original = clone(this.attributes);
+        return this;
+    }
+
+    /**
+     * Determines whether an attribute differs from its original value.
+     *
+     * @param {String} key
+     * @returns {Boolean}
+     * @private
+     */
+    _isChanged(key) {
+        if(!this.attributes.hasOwnProperty(key)) {
+            return false;
+        }
+        return !this.original.hasOwnProperty(key) || !isEqual(this.attributes[key], this.original[key]);
+    }
+
+    /**
+     * Validates the attributes of a model against its rules, replacing the contents of its error bag with the
+     * messages for any that fail.
+     *
+     * @returns {Boolean} Whether the model is valid.
+     */
+    validate() {
+        this.errors.clear().merge(new Validator(this.rules).validate(this));
+        return !this.errors.any();
+    }
+
     /**
      * Saves a model.
      *
-     * @param {callable} success
-     * @param {callable} error
+     * The model is validated before anything is sent; when validation fails, either locally or by the api responding
+     * with a 422, the field errors are placed in the error bag of the model and the save is rejected with a
+     * ValidationException.
+     *
+     * The saving event and either the creating or updating event are fired before anything else happens; when a
+     * listener cancels the save, no callbacks are called and the returned promise resolves with false.
+     *
+     * New models that do not use incrementing keys have a key generated using newUniqueId, which is sent with the
+     * insert; the saved model is then reconciled with the response using its primary key.
+     *
+     * @param {callable} [success]
+     * @param {callable} [error]
+     * @returns {Promise} Resolves with the model once it has been saved.
      */
     save(success, error) {
         var instance = this;
+        var creating = !this.exists;
+
+        if(this.fireEvent('saving') === false || this.fireEvent(creating ? 'creating' : 'updating') === false) {
+            return Promise.resolve(false);
+        }
+
+        if(creating && !this.incrementing && !this.hasKey()) {
+            this.setKey(this.newUniqueId());
+        }
+
+        if(!this.validate()) {
+            let exception = new ValidationException('The model failed validation', null, null, this.errors, this);
+            return settle(Promise.reject(exception), success, error, () => instance);
+        }
+
         instance.syncing = true;
 
-        var attributes = this.dirty();
-        attributes[this.primary_key] = this.attributes[this.primary_key];
+        var changes = this.getChanges();
+        var attributes = this.savePayload();
 
         var builder = this.query();
+        var promise;
         if(this.exists) {
-            builder
-                .where(this.primary_filter, this.attributes[this.primary_key])
-                .update(attributes, (function(instance, success) {
-                    return function(results, payload) {
-                        instance.syncing = false;
-                        for(var key in results.items) {
-                            var updated_contact = results.items[key];
-                            if(updated_contact.customer_contact_id == instance.customer_contact_id) {
-                                instance.hydrate(updated_contact.attributes);
-                            }
-                        }
-                        if(typeof success == 'function') {
-                            success(results, payload);
-                        }
+            this.whereKey(builder);
+            promise = new Promise(function (resolve, reject) {
+                builder.update(attributes, (results, payload) => resolve([results, payload]), reject);
+            }).then(function (args) {
+                args[0].each(function (key, model) {
+                    if(instance.is(model)) {
+                        instance.hydrate(model.attributes);
                     }
-                })(this, success), (function(instance, error) {
-                    return function (response, code) {
-                        if (code == 422) {
-                            instance.syncing = false;
-                        }
-                        builder.handleError(response, code);
-                        if (typeof error == 'function') {
-                            error();
-                        }
-                    }
-                })(this, error));
+                });
+                return args;
+            });
         } else {
-            builder.insert(attributes, function(model) {
-                    instance.syncing = false;
-                    instance.customer_contact_id = model.customer_contact_id;
+            promise = builder.insert(attributes).then(function (model) {
+                if(model != null) {
                     instance.hydrate(model.attributes);
-                    instance.exists = true;
-                    if (typeof success == 'function') {
-                        success();
-                    }
-                },
-                function(response, code) {
-                    if(code == 422) {
-                        instance.syncing = false;
-                    }
-                    builder.handleError(response, code);
-                    if(typeof error == 'function') {
-                        error();
-                    }
-                });
+                }
+                instance.exists = true;
+                if(instance.getIdentityMap() != null) {
+                    instance.getIdentityMap().add(instance);
+                }
+                let queue = instance.getOfflineQueue();
+                if(queue != null && queue.isTemporaryId(instance.getKey())) {
+                    queue.track(instance);
+                }
+                return [];
+            });
+        }
+        promise = promise.then(
+            function (args) {
+                instance.markSaved(changes, creating);
+                return args;
+            },
+            function (exception) {
+                instance.syncing = false;
+                if(exception instanceof ValidationException) {
+                    instance.errors.merge(exception.errors);
+                }
+                throw exception;
+            }
+        );
+        return settle(promise, success, error, () => instance);
+    }
+
+    /**
+     * Gets the attributes that are sent to save a model; its changed attributes, which are already in their raw form,
+     * along with its key.
+     *
+     * @returns {Object}
+     */
+    savePayload() {
+        let attributes = this.dirty();
+        let keys = this.getKeyNames();
+        for(let i=0; i < keys.length; ++i) {
+            if(this.attributes[keys[i]] != null) {
+                attributes[keys[i]] = this.attributes[keys[i]];
+            }
         }
+        return attributes;
+    }
+
+    /**
+     * Marks a model as saved once the api has accepted its changes, firing the events that follow a save.
+     *
+     * @param {Object} changes The changes that were saved, as returned by getChanges.
+     * @param {Boolean} created Whether the model was created by the save.
+     * @returns {Model}
+     */
+    markSaved(changes, created) {
+        this.syncing = false;
+        this.saved_changes = changes;
+        this.syncOriginal();
+        this.fireEvent(created ? 'created' : 'updated');
+        this.fireEvent('saved');
+        return this;
     }
 
     /**
@@ -236,8 +1255,8 @@ export default class Model {
     {
         for(var key in this.attributes)
         {
-            if(this.original[key] != 'undefined') {
-                this.attributes[key] = this.original[key];
+            if(this.original.hasOwnProperty(key)) {
+                this.attributes[key] = clone(this.original[key]);
             } else {
                 delete this.attributes[key];
             }
@@ -247,41 +1266,139 @@ export default class Model {
     /**
      * Deletes a model.
      *
-     * @param success
-     * @param error
+     * Models that use soft deletes are deleted using the same route, after which their deleted at attribute is set
+     * (if the response does not set it) and they continue to exist.
+     *
+     * The deleting event is fired before anything is sent; when a listener cancels the delete, no callbacks are
+     * called and the returned promise resolves with false.
+     *
+     * @param {Function} [success]
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with the model once it has been deleted.
      */
     deleteModel(success, error)
+    {
+        return this._sendDeletion('deleteResults', 'deleting', 'deleted', success, error, () => this.markDeleted());
+    }
+
+    /**
+     * Updates a model once the api has deleted it; models that use soft deletes have their deleted at attribute set
+     * (if the response did not set it), while others are removed from the identity map.
+     *
+     * @returns {Model}
+     */
+    markDeleted()
+    {
+        if(this.soft_deletes && !this.trashed()) {
+            this.setAttribute(this.deleted_at_attribute, (new Date()).toISOString());
+            this.original[this.deleted_at_attribute] = this.attributes[this.deleted_at_attribute];
+        } else if(!this.soft_deletes && this.getIdentityMap() != null) {
+            this.getIdentityMap().evict(this);
+        }
+        return this;
+    }
+
+    /**
+     * Determines whether a model has been soft deleted.
+     *
+     * @returns {Boolean}
+     */
+    trashed()
+    {
+        return this.soft_deletes && this.attributes[this.deleted_at_attribute] != null;
+    }
+
+    /**
+     * Restores a soft deleted model.
+     *
+     * @param {Function} [success]
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with the model once it has been restored.
+     */
+    restore(success, error)
+    {
+        return this._sendDeletion('restore', 'restoring', 'restored', success, error, () => {
+            this.setAttribute(this.deleted_at_attribute, null);
+            this.original[this.deleted_at_attribute] = null;
+        });
+    }
+
+    /**
+     * Permanently deletes a model that would otherwise be soft deleted.
+     *
+     * @param {Function} [success]
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with the model once it has been deleted.
+     */
+    forceDelete(success, error)
+    {
+        return this._sendDeletion('forceDelete', 'forceDeleting', 'forceDeleted', success, error, () => {
+            this.exists = false;
+            if(this.getIdentityMap() != null) {
+                this.getIdentityMap().evict(this);
+            }
+        });
+    }
+
+    /**
+     * Sends a delete, restore or force delete for a model and reconciles the model with the response.
+     *
+     * @param {String} method The method of the builder that sends the request.
+     * @param {String} before The event fired before the request is sent.
+     * @param {String} after The event fired once the request succeeds.
+     * @param {Function} [success]
+     * @param {Function} [error]
+     * @param {Function} applied Called once the request succeeds, to update the model.
+     * @returns {Promise} Resolves with the model; rejects with a ModelNotPersistedException for a model that does not
+     * exist.
+     * @private
+     */
+    _sendDeletion(method, before, after, success, error, applied)
     {
         var instance = this;
 
+        if(!this.exists) {
+            let action = method === 'restore' ? 'restore' : 'delete';
+            return settle(
+                Promise.reject(new ModelNotPersistedException(`Cannot ${action} a model that does not exist!`)),
+                success,
+                error
+            );
+        }
+
+        if(this.fireEvent(before) === false) {
+            return Promise.resolve(false);
+        }
+
         instance.syncing = true;
 
-        var builder = this.query();
+        var query = this.whereKey(this.query());
+        if(method !== 'deleteResults') {
+            query.withTrashed();
+        }
 
-        if(this.exists) {
-            builder
-                .where(this.primary_filter, this.attributes[this.primary_key])
-                .delete((function(success) {
-                    return function(results) {
-                        instance.syncing = false;
-                        instance.hydrate(results.first().attributes);
-                        if(typeof success == 'function') {
-                            success();
-                        }
-                    }
-                })(this.attributes, success), (function(error) {
-                    return function (response, code) {
-                        if (code == 422 || code == 403) {
-                            instance.syncing = false;
-                            instance.reset();
-                        }
-                        builder.handleError(response, code);
-                        if (typeof error == 'function') {
-                            error();
+        var promise = query[method]()
+            .then(
+                function (results) {
+                    instance.syncing = false;
+                    results.each(function (key, model) {
+                        if(instance.is(model)) {
+                            instance.hydrate(model.attributes);
                         }
+                    });
+                    applied();
+                    instance.fireEvent(after);
+                    return [];
+                },
+                function (exception) {
+                    instance.syncing = false;
+                    if (exception.status == 422 || exception.status == 403) {
+                        instance.reset();
                     }
-                })(error));
-        }
+                    throw exception;
+                }
+            );
+        return settle(promise, success, error, () => instance);
     }
 
     /**
@@ -294,6 +1411,19 @@ export default class Model {
         cloned_model.original = clone(this.original);
         cloned_model.syncing = this.syncing;
         cloned_model.exists = this.exists;
+        cloned_model.relations = Object.assign({}, this.relations);
         return cloned_model;
     }
-}
\ No newline at end of file
+}
+
+// "with" is a reserved word, so the method is defined outside of the class body where it can be named with a string.
+/**
+ * Creates a builder that loads a set of relationships along with its results.
+ *
+ * @param {...String|Array} relations
+ * @returns {Builder}
+ */
+Model.prototype['with'] = function (...relations) {
+    let query = this.query();
+    return query.with.apply(query, relations);
+};
\ No newline at end of file
@@ -1,5 +1,10 @@
 import Collection from "js_collection";
 import MissingQueryBuilderException from "./MissingQueryBuilderException";
+import Pagination from "./Pagination";
+import BulkReport from "./BulkReport";
+import ValidationException from "./ValidationException";
+import settle from "./support/settle";
+import eachLimit from "./support/concurrency";
 
 /**
  * A base Model collection class.
@@ -14,9 +19,12 @@ export default class ModelCollection extends Collection
      */
     constructor(items, model) 
     {
-        super(items, model.primary_key);
+        super(items, typeof model.primary_key === 'string' ? model.primary_key : null);
 
         this.model = model;
+        this.query = null;
+        this.pagination = null;
+        this.pages = null;
     }
 
     /**
@@ -32,38 +40,408 @@ export default class ModelCollection extends Collection
     }
 
     /**
-     * Loads the next page of results.
+     * Creates a new collection of the models that match the constraints of a query, evaluating them in memory.
+     *
+     * @param {Builder} query
+     * @returns {ModelCollection}
+     */
+    filterByQuery(query)
+    {
+        let models = [];
+        this.each((key, model) => {
+            if(query.matches(model)) {
+                models.push(model);
+            }
+        });
+        return this.model.newCollection(models);
+    }
+
+    /**
+     * Sets the pagination metadata of the page of results that the collection was built from.
+     *
+     * @param {Pagination} pagination
+     */
+    setPagination(pagination)
+    {
+        this.pagination = pagination;
+    }
+
+    /**
+     * Determines whether there are pages of results after those that have been loaded.
+     *
+     * @returns {Boolean}
+     */
+    hasMorePages()
+    {
+        if(this.query == null || this.query.getLimit() === -1) {
+            return false;
+        }
+        let more = this._loadedPages().last.hasMorePages();
+        return more != null ? more : true;
+    }
+
+    /**
+     * Determines whether there are pages of results before those that have been loaded.
+     *
+     * @returns {Boolean}
+     */
+    hasPreviousPages()
+    {
+        if(this.query == null || this.query.getLimit() === -1) {
+            return false;
+        }
+        let first = this._loadedPages().first;
+        return this.query.paginationMode() === 'cursor' ? first.cursors.prev != null : first.current_page > 1;
+    }
+
+    /**
+     * Loads the next page of results; resolves with an empty collection, without sending a request, when there are
+     * no more pages.
      *
      * If a success callback is not provided, then the results will be merged into the current collection; otherwise,
      * this will be left to the callback provided.
      *
      * Requires a builder to be set which is responsible for the collection.
      *
-     * @param {Function} success
-     * @param {Function} error
+     * @param {Function} [success] Passed the collection of results.
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with the collection of results.
      */
     loadNextPage(success = null, error = null)
     {
-        if(this.query != null && this.query.getLimit() !== -1) {
-            let instance = this;
-            this.query.incrementPage();
-            this.query.get(
-                function(results) {
-                    if(success instanceof Function) {
-                        success(results)
-                    } else {
-                        instance.merge(results);
-                    }
-                },
-                function(...args) {
-                    instance.query.decrementPage();
-                    if(error instanceof Function) {
-                        error.apply(error, args);
-                    }
-                }
-            );
-        } else {
-            throw new MissingQueryBuilderException('Cannot load next page; no query builder set for model collection!');
+        this._requireQuery('next page');
+        if(!this.hasMorePages()) {
+            return settle(Promise.resolve([this.model.newCollection([])]), success, error);
+        }
+        let pages = this._loadedPages();
+        return settle(this._adjacentQuery(pages.last, 'next').get().then((results) => {
+            pages.last = results.pagination;
+            this.pagination = results.pagination;
+            if(typeof success !== 'function') {
+                this.merge(results);
+            }
+            return [results];
+        }), success, error);
+    }
+
+    /**
+     * Loads the page of results before those that have been loaded; resolves with an empty collection, without
+     * sending a request, when there are no previous pages.
+     *
+     * If a success callback is not provided, then the results will be merged into the current collection; otherwise,
+     * this will be left to the callback provided.
+     *
+     * @param {Function} [success] Passed the collection of results.
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with the collection of results.
+     */
+    loadPreviousPage(success = null, error = null)
+    {
+        this._requireQuery('previous page');
+        if(!this.hasPreviousPages()) {
+            return settle(Promise.resolve([this.model.newCollection([])]), success, error);
+        }
+        let pages = this._loadedPages();
+        return settle(this._adjacentQuery(pages.first, 'prev').get().then((results) => {
+            pages.first = results.pagination;
+            this.pagination = results.pagination;
+            if(typeof success !== 'function') {
+                this.merge(results);
+            }
+            return [results];
+        }), success, error);
+    }
+
+    /**
+     * Loads a page of results as a new collection, leaving the current collection as it is; only applies to queries
+     * that use the "offset" pagination mode.
+     *
+     * @param {int} page
+     * @param {Function} [success] Passed the collection of results.
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with the collection of results.
+     */
+    loadPage(page, success = null, error = null)
+    {
+        this._requireQuery(`page ${page}`);
+        return this.query.clone().setPage(page).get(success, error);
+    }
+
+    /**
+     * Loads every page of results after those that have been loaded, one at a time, merging them into the current
+     * collection.
+     *
+     * @param {Function} [success] Passed the collection.
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with the collection once every page has been loaded.
+     */
+    loadAll(success = null, error = null)
+    {
+        let load = () => {
+            if(!this.hasMorePages()) {
+                return Promise.resolve([this]);
+            }
+            return this.loadNextPage().then((results) => results.first() == null ? [this] : load());
+        };
+        return settle(load(), success, error);
+    }
+
+    /**
+     * Saves every model in the collection that is new or has been changed.
+     *
+     * When the model of the collection has "bulk_requests" set (and a single key attribute), the changed models that
+     * already exist are saved using a single update request with an array of attributes; other models are saved
+     * individually, with no more than the "concurrency" of the model being saved at once.
+     *
+     * @param {Function} [success] Passed the report.
+     * @param {Function} [error] Only called for failures that could not be attributed to the models.
+     * @returns {Promise} Resolves with a BulkReport of the outcome for each model.
+     */
+    saveAll(success = null, error = null)
+    {
+        let report = new BulkReport();
+        let models = this._models().filter((model) => !model.exists || model.isDirty());
+        let batched = this._supportsBulkRequests() ? models.filter((model) => model.exists) : [];
+        let individual = models.filter((model) => batched.indexOf(model) === -1);
+
+        let promise = Promise.all([
+            this._bulkSave(batched, report),
+            eachLimit(individual, this.model.concurrency, (model) => model.save().then(
+                (result) => result === false ? report.cancelled(model) : report.succeeded(model),
+                (exception) => report.failed(model, exception)
+            ))
+        ]).then(() => [report]);
+        return settle(promise, success, error);
+    }
+
+    /**
+     * Deletes every model in the collection that exists.
+     *
+     * When the model of the collection has "bulk_requests" set (and a single key attribute), the models are deleted
+     * using a single request that is constrained to their keys; otherwise they are deleted individually, with no more
+     * than the "concurrency" of the model being deleted at once.
+     *
+     * @param {Function} [success] Passed the report.
+     * @param {Function} [error] Only called for failures that could not be attributed to the models.
+     * @returns {Promise} Resolves with a BulkReport of the outcome for each model.
+     */
+    deleteAll(success = null, error = null)
+    {
+        let report = new BulkReport();
+        let models = this._models().filter((model) => model.exists);
+
+        let promise = this._supportsBulkRequests()
+            ? this._bulkDelete(models, report)
+            : eachLimit(models, this.model.concurrency, (model) => model.deleteModel().then(
+                (result) => result === false ? report.cancelled(model) : report.succeeded(model),
+                (exception) => report.failed(model, exception)
+            ));
+        return settle(promise.then(() => [report]), success, error);
+    }
+
+    /**
+     * Sets attributes on every model in the collection and saves them.
+     *
+     * @param {Object} attributes
+     * @param {Function} [success] Passed the report.
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with a BulkReport of the outcome for each model.
+     */
+    update(attributes, success = null, error = null)
+    {
+        this.each((key, model) => {
+            for(let name in attributes) {
+                model.setAttribute(name, attributes[name]);
+            }
+        });
+        return this.saveAll(success, error);
+    }
+
+    /**
+     * Saves existing models using a single update request.
+     *
+     * @param {Array} models
+     * @param {BulkReport} report
+     * @returns {Promise}
+     * @private
+     */
+    _bulkSave(models, report)
+    {
+        let saving = [];
+        for(let i=0; i < models.length; ++i) {
+            if(models[i].fireEvent('saving') === false || models[i].fireEvent('updating') === false) {
+                report.cancelled(models[i]);
+            } else if(!models[i].validate()) {
+                let exception = new ValidationException('The model failed validation', null, null, models[i].errors, models[i]);
+                report.failed(models[i], exception);
+            } else {
+                saving.push(models[i]);
+            }
+        }
+        if(saving.length === 0) {
+            return Promise.resolve();
+        }
+
+        let changes = saving.map((model) => model.getChanges());
+        let attributes = saving.map((model) => model.savePayload());
+        saving.forEach((model) => {
+            model.syncing = true;
+        });
+
+        return this._whereKeys(saving).update(attributes).then(
+            (results) => {
+                saving.forEach((model, i) => {
+                    results.each((key, result) => {
+                        if(model.is(result) && result !== model) {
+                            model.hydrate(result.attributes);
+                        }
+                    });
+                    model.markSaved(changes[i], false);
+                    report.succeeded(model);
+                });
+            },
+            (exception) => {
+                saving.forEach((model) => {
+                    model.syncing = false;
+                    report.failed(model, exception);
+                });
+            }
+        );
+    }
+
+    /**
+     * Deletes models using a single request.
+     *
+     * @param {Array} models
+     * @param {BulkReport} report
+     * @returns {Promise}
+     * @private
+     */
+    _bulkDelete(models, report)
+    {
+        let deleting = models.filter((model) => {
+            if(model.fireEvent('deleting') === false) {
+                report.cancelled(model);
+                return false;
+            }
+            return true;
+        });
+        if(deleting.length === 0) {
+            return Promise.resolve();
+        }
+
+        deleting.forEach((model) => {
+            model.syncing = true;
+        });
+
+        return this._whereKeys(deleting).deleteResults().then(
+            (results) => {
+                deleting.forEach((model) => {
+                    results.each((key, result) => {
+                        if(model.is(result) && result !== model) {
+                            model.hydrate(result.attributes);
+                        }
+                    });
+                    model.syncing = false;
+                    model.markDeleted();
+                    model.fireEvent('deleted');
+                    report.succeeded(model);
+                });
+            },
+            (exception) => {
+                deleting.forEach((model) => {
+                    model.syncing = false;
+                    report.failed(model, exception);
+                });
+            }
+        );
+    }
+
+    /**
+     * Creates a query that is constrained to the keys of a set of models.
+     *
+     * @param {Array} models
+     * @returns {Builder}
+     * @private
+     */
+    _whereKeys(models)
+    {
+        return this.model.query()
+            .whereIn(this.model.getKeyFilters()[0], models.map((model) => model.getKey()))
+            .withoutPagination();
+    }
+
+    /**
+     * Determines whether the models of the collection can be saved and deleted using bulk requests.
+     *
+     * @returns {Boolean}
+     * @private
+     */
+    _supportsBulkRequests()
+    {
+        return this.model.bulk_requests === true && this.model.getKeyNames().length === 1;
+    }
+
+    /**
+     * Gets the models in the collection.
+     *
+     * @returns {Array}
+     * @private
+     */
+    _models()
+    {
+        let models = [];
+        this.each((key, model) => {
+            models.push(model);
+        });
+        return models;
+    }
+
+    /**
+     * Gets the pagination metadata of the first and last pages that have been loaded into the collection.
+     *
+     * @returns {{first: Pagination, last: Pagination}}
+     * @private
+     */
+    _loadedPages()
+    {
+        if(this.pages == null) {
+            let pagination = this.pagination;
+            if(pagination == null || (pagination.current_page == null && this.query.paginationMode() !== 'cursor')) {
+                pagination = new Pagination({current_page: this.query.currentPage()});
+            }
+            this.pages = {first: pagination, last: pagination};
+        }
+        return this.pages;
+    }
+
+    /**
+     * Creates the query for the page before or after a loaded page.
+     *
+     * @param {Pagination} page
+     * @param {String} direction Either "prev" or "next".
+     * @returns {Builder}
+     * @private
+     */
+    _adjacentQuery(page, direction)
+    {
+        let query = this.query.clone();
+        if(query.paginationMode() === 'cursor') {
+            return query.setCursor(page.cursors[direction]);
+        }
+        return query.setPage(page.current_page + (direction === 'next' ? 1 : -1));
+    }
+
+    /**
+     * Throws an exception if the query that built the collection has not been set.
+     *
+     * @param {String} page A description of the page that was to be loaded.
+     * @private
+     */
+    _requireQuery(page)
+    {
+        if(this.query == null) {
+            throw new MissingQueryBuilderException(`Cannot load ${page}; no query builder set for model collection!`);
         }
     }
 }
@@ -0,0 +1,7 @@
+import HttpException from "./HttpException";
+
+/**
+ * An exception that is raised when a request could not receive a response, for example because the api could not
+ * be reached.
+ */
+export default class NetworkException extends HttpException {}
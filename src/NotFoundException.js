@@ -0,0 +1,6 @@
+import HttpException from "./HttpException";
+
+/**
+ * An exception that is raised when a request receives a 404 response.
+ */
+export default class NotFoundException extends HttpException {}
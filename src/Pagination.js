@@ -0,0 +1,117 @@
+/**
+ * The pagination metadata of a page of results.
+ *
+ * Both the metadata of a paginator at the top level of a payload (`{data, total, per_page, current_page, last_page,
+ * next_page_url, ...}`) and that of a resource collection (`{data, links: {first, last, prev, next}, meta: {...}}`)
+ * are understood, along with the next_cursor and prev_cursor of cursor paginators.
+ */
+export default class Pagination
+{
+    /**
+     * Constructor.
+     *
+     * @param {Object} [attributes]
+     * @param {int|null} [attributes.total=null] The number of results across every page.
+     * @param {int|null} [attributes.per_page=null]
+     * @param {int|null} [attributes.current_page=null]
+     * @param {int|null} [attributes.last_page=null]
+     * @param {Object} [attributes.links={}] The urls of the first, last, prev and next pages; a link is undefined
+     * when it is unknown and null when there is no such page.
+     * @param {Object} [attributes.cursors={}] The cursors of the prev and next pages, in the same form as links.
+     * @param {Boolean|null} [attributes.more=null] Whether there are more pages, for when it cannot be determined from
+     * the other attributes.
+     */
+    constructor(attributes = {})
+    {
+        this.total = attributes.total != null ? attributes.total : null;
+        this.per_page = attributes.per_page != null ? attributes.per_page : null;
+        this.current_page = attributes.current_page != null ? attributes.current_page : null;
+        this.last_page = attributes.last_page != null ? attributes.last_page : null;
+        this.links = Object.assign({first: undefined, last: undefined, prev: undefined, next: undefined}, attributes.links);
+        this.cursors = Object.assign({prev: undefined, next: undefined}, attributes.cursors);
+        this.more = attributes.more != null ? attributes.more : null;
+    }
+
+    /**
+     * Parses the pagination metadata of a payload; returns null when it does not have any.
+     *
+     * @param {*} payload
+     * @returns {Pagination|null}
+     */
+    static fromPayload(payload)
+    {
+        if(payload == null || typeof payload !== 'object' || payload instanceof Array) {
+            return null;
+        }
+        let meta = payload.meta != null && typeof payload.meta === 'object' ? payload.meta : payload;
+        let links = payload.links != null && typeof payload.links === 'object' && !(payload.links instanceof Array)
+            ? payload.links
+            : {};
+
+        let pagination = new Pagination({
+            total: integer(meta.total),
+            per_page: integer(meta.per_page),
+            current_page: integer(meta.current_page),
+            last_page: integer(meta.last_page),
+            links: {
+                first: defined(links.first, meta.first_page_url),
+                last: defined(links.last, meta.last_page_url),
+                prev: defined(links.prev, meta.prev_page_url),
+                next: defined(links.next, meta.next_page_url)
+            },
+            cursors: {
+                prev: meta.prev_cursor,
+                next: meta.next_cursor
+            }
+        });
+        let found = pagination.current_page != null || pagination.links.next !== undefined
+            || pagination.cursors.next !== undefined;
+        return found ? pagination : null;
+    }
+
+    /**
+     * Determines whether there are pages after the current page; returns null when it is unknown.
+     *
+     * @returns {Boolean|null}
+     */
+    hasMorePages()
+    {
+        if(this.current_page != null && this.last_page != null) {
+            return this.current_page < this.last_page;
+        }
+        if(this.cursors.next !== undefined) {
+            return this.cursors.next != null;
+        }
+        if(this.links.next !== undefined) {
+            return this.links.next != null;
+        }
+        return this.more;
+    }
+}
+
+/**
+ * Parses an integer; returns null for missing values.
+ *
+ * @param {*} value
+ * @returns {int|null}
+ */
+function integer(value)
+{
+    return value == null || isNaN(parseInt(value, 10)) ? null : parseInt(value, 10);
+}
+
+/**
+ * Gets the first of a set of values that is defined.
+ *
+ * @param {...*} values
+ * @returns {*}
+ */
+function defined(...values)
+{
+    for(let i=0; i < values.length; ++i) {
+        if(values[i] !== undefined) {
+            return values[i];
+        }
+    }
+    return undefined;
+}
@@ -0,0 +1,108 @@
+import {anySignal} from "./support/abort";
+
+/**
+ * An async iterator over every result of a query, which fetches a page at a time as the results are consumed; pages
+ * are the size of the limit of the query.
+ *
+ * It can be consumed with `for await (const model of query.cursor())`, and stops cleanly when the consumer breaks out
+ * of the loop, aborting any request that is waiting for a response.
+ */
+export default class QueryIterator
+{
+    /**
+     * Constructor.
+     *
+     * @param {Builder} query
+     * @param {AbortSignal|null} [signal=null] The abort signal of the query.
+     */
+    constructor(query, signal = null)
+    {
+        this.controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        this.query = query.withSignal(anySignal([signal, this.controller != null ? this.controller.signal : null]));
+        this.page = null;
+        this.buffer = [];
+        this.done = false;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Gets the next result, fetching the next page of results when the current page has been consumed.
+     *
+     * @returns {Promise} Resolves with {value, done}.
+     */
+    next()
+    {
+        this.pending = this.pending.then(() => this._next(), () => this._next());
+        return this.pending;
+    }
+
+    /**
+     * Gets the next result.
+     *
+     * @returns {Promise}
+     * @private
+     */
+    _next()
+    {
+        if(this.buffer.length > 0) {
+            return Promise.resolve({value: this.buffer.shift(), done: false});
+        }
+        if(this.done || (this.page != null && !this.page.hasMorePages())) {
+            this.done = true;
+            return Promise.resolve({value: undefined, done: true});
+        }
+
+        // A success callback stops the next page from being merged into the page before it.
+        let fetching = this.page == null ? this.query.get() : this.page.loadNextPage(() => null);
+        return fetching.then(
+            (page) => {
+                if(this.done) {
+                    return {value: undefined, done: true};
+                }
+                this.page = page;
+                page.each((key, model) => {
+                    this.buffer.push(model);
+                });
+                if(this.buffer.length === 0) {
+                    this.done = true;
+                    return {value: undefined, done: true};
+                }
+                return {value: this.buffer.shift(), done: false};
+            },
+            (exception) => {
+                if(this.done) {
+                    return {value: undefined, done: true};
+                }
+                this.done = true;
+                throw exception;
+            }
+        );
+    }
+}
+
+// "return" is a reserved word, so the method is defined outside of the class body where it can be named with a string.
+/**
+ * Stops the iteration, aborting any request that is waiting for a response.
+ *
+ * @returns {Promise} Resolves with {value: undefined, done: true}.
+ */
+QueryIterator.prototype['return'] = function () {
+    this.done = true;
+    this.buffer = [];
+    if(this.controller != null) {
+        this.controller.abort();
+    }
+    return Promise.resolve({value: undefined, done: true});
+};
+
+// Defined outside of the class body so that environments without async iterators can still use next and return.
+if(typeof Symbol !== 'undefined' && Symbol.asyncIterator != null) {
+    /**
+     * Gets the iterator itself, so that it can be used with `for await`.
+     *
+     * @returns {QueryIterator}
+     */
+    QueryIterator.prototype[Symbol.asyncIterator] = function () {
+        return this;
+    };
+}
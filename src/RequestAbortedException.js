@@ -0,0 +1,7 @@
+import HttpException from "./HttpException";
+
+/**
+ * An exception that is raised when a request is aborted using an abort signal, or because a newer request has replaced
+ * it in "latest wins" mode.
+ */
+export default class RequestAbortedException extends HttpException {}
@@ -0,0 +1,102 @@
+import clone from 'clone';
+
+/**
+ * A cache of the responses to queries, keyed by the url of the model that a query is for and the url of the request.
+ *
+ * Responses are fresh for the ttl of the cache, during which they are used instead of sending a request; once they
+ * are stale they may still be used for the stale-while-revalidate period of the cache while a request to refresh them
+ * is sent in the background.
+ */
+export default class ResponseCache
+{
+    /**
+     * Constructor.
+     *
+     * @param {{ttl: Number, stale: Number}} [options] The number of milliseconds that responses are fresh for and the
+     * number of milliseconds after that they may be used while they are revalidated.
+     */
+    constructor(options = {})
+    {
+        this.ttl = options.ttl != null ? options.ttl : 60000;
+        this.stale = options.stale != null ? options.stale : 0;
+
+        /**
+         * Maps of entries keyed by request url, keyed by model url.
+         *
+         * @type {Map}
+         */
+        this.entries = new Map();
+    }
+
+    /**
+     * Gets the current time in milliseconds.
+     *
+     * @returns {Number}
+     */
+    now()
+    {
+        return Date.now();
+    }
+
+    /**
+     * Gets the entry for a request; returns null if there is no entry, or it is too old to be used.
+     *
+     * @param {String} model_url
+     * @param {String} url
+     * @returns {{response: Object, fresh: Boolean}|null}
+     */
+    get(model_url, url)
+    {
+        let entries = this.entries.get(model_url);
+        let entry = entries != null ? entries.get(url) : null;
+        if(entry == null) {
+            return null;
+        }
+        let age = this.now() - entry.time;
+        if(age >= this.ttl + this.stale) {
+            entries.delete(url);
+            return null;
+        }
+        return {response: clone(entry.response), fresh: age < this.ttl};
+    }
+
+    /**
+     * Stores the response to a request.
+     *
+     * @param {String} model_url
+     * @param {String} url
+     * @param {Object} response
+     * @returns {ResponseCache}
+     */
+    put(model_url, url, response)
+    {
+        if(!this.entries.has(model_url)) {
+            this.entries.set(model_url, new Map());
+        }
+        this.entries.get(model_url).set(url, {response: clone(response), time: this.now()});
+        return this;
+    }
+
+    /**
+     * Removes the entries for a model url.
+     *
+     * @param {String} model_url
+     * @returns {ResponseCache}
+     */
+    invalidate(model_url)
+    {
+        this.entries.delete(model_url);
+        return this;
+    }
+
+    /**
+     * Removes every entry.
+     *
+     * @returns {ResponseCache}
+     */
+    clear()
+    {
+        this.entries.clear();
+        return this;
+    }
+}
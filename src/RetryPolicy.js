@@ -0,0 +1,90 @@
+/**
+ * A policy for retrying requests that fail because of a network failure or a temporary error, using exponential
+ * backoff with jitter; a Retry-After header on the response is honoured.
+ *
+ * Only idempotent requests are retried, so that a request is never applied more than once by the api.
+ */
+export default class RetryPolicy
+{
+    /**
+     * Constructor.
+     *
+     * @param {Object} [options]
+     * @param {Number} [options.attempts=3] The maximum number of times a request is sent, including the first.
+     * @param {Number} [options.delay=200] The number of milliseconds to wait before the first retry.
+     * @param {Number} [options.multiplier=2] The factor by which the delay grows after each retry.
+     * @param {Number} [options.max_delay=10000] The longest that is waited before a retry; requests whose
+     * Retry-After header asks for a longer wait are not retried.
+     * @param {Number} [options.jitter=0.5] The fraction of each delay that is randomised, between 0 and 1.
+     * @param {Array} [options.statuses] The response statuses that are retried.
+     * @param {Array} [options.methods] The request methods that are retried.
+     */
+    constructor(options = {})
+    {
+        this.attempts = options.attempts != null ? options.attempts : 3;
+        this.delay = options.delay != null ? options.delay : 200;
+        this.multiplier = options.multiplier != null ? options.multiplier : 2;
+        this.max_delay = options.max_delay != null ? options.max_delay : 10000;
+        this.jitter = options.jitter != null ? options.jitter : 0.5;
+        this.statuses = options.statuses != null ? options.statuses : [408, 429, 500, 502, 503, 504];
+        this.methods = options.methods != null ? options.methods : ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+    }
+
+    /**
+     * Gets the number of milliseconds to wait before retrying a request; returns null if the request should not be
+     * retried.
+     *
+     * @param {Object} request
+     * @param {Object|null} response The response that was received; null when a response could not be received.
+     * @param {Number} attempt The number of times the request has been sent.
+     * @returns {Number|null}
+     */
+    retryDelay(request, response, attempt)
+    {
+        if(attempt >= this.attempts || this.methods.indexOf(request.method.toUpperCase()) === -1) {
+            return null;
+        }
+        if(response != null && this.statuses.indexOf(response.status) === -1) {
+            return null;
+        }
+
+        let retry_after = response != null ? parseRetryAfter(response.headers) : null;
+        if(retry_after != null) {
+            return retry_after <= this.max_delay ? retry_after : null;
+        }
+
+        let delay = Math.min(this.delay * Math.pow(this.multiplier, attempt - 1), this.max_delay);
+        return Math.round(delay * (1 - this.jitter * Math.random()));
+    }
+
+    /**
+     * Waits before a retry.
+     *
+     * @param {Number} delay
+     * @returns {Promise}
+     */
+    wait(delay)
+    {
+        return new Promise((resolve) => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Parses the Retry-After header of a response, which is either a number of seconds or a date, as a number of
+ * milliseconds.
+ *
+ * @param {Object} headers
+ * @returns {Number|null}
+ */
+function parseRetryAfter(headers)
+{
+    let value = headers != null ? (headers['retry-after'] != null ? headers['retry-after'] : headers['Retry-After']) : null;
+    if(value == null) {
+        return null;
+    }
+    if(/^\s*\d+\s*$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+    let date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
@@ -0,0 +1,143 @@
+import UnknownRouteException from "./UnknownRouteException";
+import MissingRouteParameterException from "./MissingRouteParameterException";
+
+/**
+ * The routes used by each preset.
+ *
+ * @type {Object}
+ */
+const presets = {
+    classic: {
+        index: {method: 'GET', url: '{url}'},
+        update: {method: 'POST', url: '{url}/update'},
+        store: {method: 'POST', url: '{url}/store', query: false},
+        destroy: {method: 'POST', url: '{url}/delete'},
+        restore: {method: 'POST', url: '{url}/restore'},
+        force_destroy: {method: 'POST', url: '{url}/force-delete'}
+    },
+    rest: {
+        index: {method: 'GET', url: '{url}'},
+        update: {method: 'PATCH', url: '{url}/{id?}'},
+        store: {method: 'POST', url: '{url}', query: false},
+        destroy: {method: 'DELETE', url: '{url}/{id?}'},
+        restore: {method: 'POST', url: '{url}/{id?}/restore'},
+        force_destroy: {method: 'DELETE', url: '{url}/{id?}/force'}
+    }
+};
+
+/**
+ * A map of the http method and url that is used for each action that a query builder performs.
+ *
+ * Urls are templates in which "{name}" placeholders are replaced by route parameters; "{url}" is the url of the model,
+ * "{id}" is the value that the query constrains the primary key of the model to (which it only is for a single
+ * resource, such as a model that is being updated or deleted) and any other name is taken from the equality
+ * constraints of the query or the attributes of the model, which allows the url of a model to contain placeholders for
+ * a parent resource, for example "/orders/{order_id}/items". Placeholders followed by a "?" are optional and are
+ * removed, along with the slash that precedes them, when there is no value for them.
+ *
+ * Routes are formatted {method, url, query}; the query string of the builder is appended to the url unless query is
+ * false, or unless the url identifies a single resource through its "{id}" placeholder and query is not true.
+ */
+export default class RouteMap
+{
+    /**
+     * Constructor.
+     *
+     * @param {Object} routes Routes keyed by action (index, update, store, destroy, restore and force_destroy).
+     */
+    constructor(routes)
+    {
+        this.routes = routes;
+    }
+
+    /**
+     * Creates a route map that matches the "/update", "/store" and "/delete" urls that are always sent using POST,
+     * along with "/restore" and "/force-delete" urls for soft deleted models.
+     *
+     * @param {Object} [overrides={}] Routes that should replace those of the preset.
+     * @returns {RouteMap}
+     */
+    static classic(overrides = {})
+    {
+        return new RouteMap(Object.assign({}, presets.classic, overrides));
+    }
+
+    /**
+     * Creates a route map for a RESTful api that uses PATCH and DELETE on "/resource/{id}".
+     *
+     * @param {Object} [overrides={}] Routes that should replace those of the preset.
+     * @returns {RouteMap}
+     */
+    static rest(overrides = {})
+    {
+        return new RouteMap(Object.assign({}, presets.rest, overrides));
+    }
+
+    /**
+     * Resolves the routes of a model into a route map; routes can be given as the name of a preset ("classic" or
+     * "rest"), a map of routes that replace those of the classic preset or a route map.
+     *
+     * @param {String|Object|RouteMap|null} routes
+     * @returns {RouteMap}
+     */
+    static resolve(routes)
+    {
+        if(routes instanceof RouteMap) {
+            return routes;
+        }
+        if(routes == null) {
+            return RouteMap.classic();
+        }
+        if(typeof routes === 'string') {
+            if(!presets.hasOwnProperty(routes)) {
+                throw new UnknownRouteException(`Cannot use unknown route preset "${routes}"!`);
+            }
+            return new RouteMap(Object.assign({}, presets[routes]));
+        }
+        return RouteMap.classic(routes);
+    }
+
+    /**
+     * Gets the route for an action.
+     *
+     * @param {String} action
+     * @returns {{method: String, url: String, query: Boolean}}
+     */
+    get(action)
+    {
+        if(!this.routes.hasOwnProperty(action)) {
+            throw new UnknownRouteException(`No route has been defined for the "${action}" action!`);
+        }
+        return this.routes[action];
+    }
+
+    /**
+     * Builds the method and url for an action.
+     *
+     * @param {String} action
+     * @param {Object} parameters Values for the placeholders of the url, keyed by name.
+     * @param {String} [query_string='']
+     * @returns {{method: String, url: String}}
+     */
+    build(action, parameters, query_string = '')
+    {
+        let route = this.get(action);
+        let identified = false;
+        let url = route.url.replace(/\{url\}/g, parameters.url != null ? parameters.url : '');
+        url = url.replace(/(\/?)\{([^}?]+)(\??)\}/g, (match, slash, name, optional) => {
+            let value = parameters[name];
+            if(value == null || value === '') {
+                if(optional === '?') {
+                    return '';
+                }
+                throw new MissingRouteParameterException(`Cannot build the "${action}" route without a value for "${name}"!`);
+            }
+            identified = identified || name === 'id';
+            return slash + encodeURIComponent(value);
+        });
+        return {
+            method: route.method,
+            url: url + (route.query === true || (route.query !== false && !identified) ? query_string : '')
+        };
+    }
+}
@@ -0,0 +1,6 @@
+import HttpException from "./HttpException";
+
+/**
+ * An exception that is raised when a request receives a response with a 5xx status.
+ */
+export default class ServerException extends HttpException {}
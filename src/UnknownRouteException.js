@@ -0,0 +1,5 @@
+import JsModelException from "./JsModelException";
+
+export default class UnknownRouteException extends JsModelException {
+
+}
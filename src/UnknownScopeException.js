@@ -0,0 +1,5 @@
+import JsModelException from "./JsModelException";
+
+export default class UnknownScopeException extends JsModelException {
+
+}
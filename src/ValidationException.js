@@ -0,0 +1,54 @@
+import HttpException from "./HttpException";
+import ErrorBag from "./ErrorBag";
+
+/**
+ * An exception that is raised when a model fails validation, either locally or by an api responding with a 422.
+ */
+export default class ValidationException extends HttpException {
+    /**
+     * Constructor
+     *
+     * @param {String} message
+     * @param {Object|null} [request=null] The request that was sent; null when validation failed locally.
+     * @param {Object|null} [response=null] The response that was received; null when validation failed locally.
+     * @param {Object|ErrorBag} [errors={}] Messages keyed by attribute.
+     * @param {Model|null} [model=null] The model that failed validation.
+     */
+    constructor(message, request = null, response = null, errors = {}, model = null) {
+        super(message, request, response, model);
+
+        /**
+         * @type {int}
+         */
+        this.status = 422;
+
+        /**
+         * @type {ErrorBag}
+         */
+        this.errors = new ErrorBag(errors);
+    }
+
+    /**
+     * Extracts the field errors from the body of a 422 response.
+     *
+     * Both `{errors: {field: [messages]}}` and `{field: [messages]}` bodies are supported.
+     *
+     * @param {*} body
+     * @returns {Object}
+     */
+    static errorsFromBody(body) {
+        if(body == null || typeof body !== 'object') {
+            return {};
+        }
+        if(body.errors != null && typeof body.errors === 'object') {
+            return body.errors;
+        }
+        let errors = {};
+        for(let key in body) {
+            if(body[key] instanceof Array || (key !== 'message' && typeof body[key] === 'string')) {
+                errors[key] = body[key];
+            }
+        }
+        return errors;
+    }
+}
@@ -0,0 +1,147 @@
+import ErrorBag from "./ErrorBag";
+import UnknownRuleException from "./UnknownRuleException";
+
+/**
+ * Validates the attributes of a model against a set of rules.
+ *
+ * Rules are keyed by attribute and each can be a single rule or an array of them. A rule can be:
+ *  - "required"
+ *  - "type:<type>", where type is string, number, integer, boolean, array, object or date
+ *  - "min:<n>" or "max:<n>", which compare numbers by value and strings and arrays by length
+ *  - a regular expression that the value must match
+ *  - a function that is passed the value, attribute name and model, and returns true when the value is valid and
+ *    either false or an error message otherwise
+ *
+ * Rules other than "required" are skipped for attributes that are empty.
+ */
+export default class Validator
+{
+    /**
+     * Constructor
+     *
+     * @param {Object} rules
+     */
+    constructor(rules)
+    {
+        this.rules = rules;
+    }
+
+    /**
+     * Validates a model.
+     *
+     * @param {Model} model
+     * @returns {ErrorBag}
+     */
+    validate(model)
+    {
+        let errors = new ErrorBag();
+        for(let key in this.rules) {
+            let rules = this.rules[key] instanceof Array ? this.rules[key] : [this.rules[key]];
+            let value = model.getAttribute(key);
+            for(let i=0; i < rules.length; ++i) {
+                if(rules[i] !== 'required' && isEmpty(value)) {
+                    continue;
+                }
+                let message = this.check(rules[i], value, key, model);
+                if(message != null) {
+                    errors.add(key, message);
+                }
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Checks a value against a rule; returns an error message if the value fails the rule and null otherwise.
+     *
+     * @param {String|RegExp|Function} rule
+     * @param {*} value
+     * @param {String} key
+     * @param {Model} model
+     * @returns {String|null}
+     */
+    check(rule, value, key, model)
+    {
+        let label = key.replace(/_/g, ' ');
+
+        if(typeof rule === 'function') {
+            let result = rule(value, key, model);
+            if(result === true || result == null) {
+                return null;
+            }
+            return typeof result === 'string' ? result : `The ${label} field is invalid.`;
+        }
+
+        if(rule instanceof RegExp) {
+            return rule.test(String(value)) ? null : `The ${label} format is invalid.`;
+        }
+
+        let parameter = null;
+        let index = String(rule).indexOf(':');
+        if(index !== -1) {
+            parameter = rule.substring(index + 1);
+            rule = rule.substring(0, index);
+        }
+
+        switch(rule) {
+            case 'required':
+                return isEmpty(value) ? `The ${label} field is required.` : null;
+            case 'type':
+                return isType(value, parameter) ? null : `The ${label} must be of type ${parameter}.`;
+            case 'min':
+                return size(value) >= parseFloat(parameter) ? null : `The ${label} must be at least ${parameter}.`;
+            case 'max':
+                return size(value) <= parseFloat(parameter) ? null : `The ${label} may not be greater than ${parameter}.`;
+            default:
+                throw new UnknownRuleException(`Cannot validate attribute "${key}" using unknown rule "${rule}"!`);
+        }
+    }
+}
+
+/**
+ * Determines whether a value is empty.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isEmpty(value)
+{
+    return value == null || value === '' || (value instanceof Array && value.length === 0);
+}
+
+/**
+ * Determines whether a value is of a type.
+ *
+ * @param {*} value
+ * @param {String} type
+ * @returns {Boolean}
+ */
+function isType(value, type)
+{
+    switch(type) {
+        case 'integer':
+            return typeof value === 'number' && value % 1 === 0;
+        case 'array':
+            return value instanceof Array;
+        case 'object':
+            return value != null && typeof value === 'object' && !(value instanceof Array);
+        case 'date':
+            return (value instanceof Date && !isNaN(value.getTime()))
+                || (typeof value.isValid === 'function' && value.isValid());
+        case 'number':
+            return typeof value === 'number' && !isNaN(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Gets the size of a value; the length of strings and arrays and the value of anything else.
+ *
+ * @param {*} value
+ * @returns {Number}
+ */
+function size(value)
+{
+    return typeof value === 'string' || value instanceof Array ? value.length : parseFloat(value);
+}
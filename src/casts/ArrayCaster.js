@@ -0,0 +1,43 @@
+import Caster from "./Caster";
+
+/**
+ * Casts attributes to arrays; json encoded arrays are decoded and any other value is wrapped in an array.
+ *
+ * The value of an attribute is copied each time that it is read, so changes must be made by assigning a new value
+ * rather than by modifying the value that is read.
+ */
+export default class ArrayCaster extends Caster
+{
+    /**
+     * Converts a raw value into an array; a string that looks like a json array but cannot be decoded is wrapped in
+     * an array like any other value.
+     *
+     * @param {*} value
+     * @returns {Array}
+     */
+    get(value)
+    {
+        if(value == null) {
+            return [];
+        }
+        if(typeof value === 'string' && value.charAt(0) === '[') {
+            try {
+                return JSON.parse(value);
+            } catch(exception) {
+                return [value];
+            }
+        }
+        return value instanceof Array ? value.slice() : [value];
+    }
+
+    /**
+     * Converts a value into an array.
+     *
+     * @param {*} value
+     * @returns {Array|null}
+     */
+    set(value)
+    {
+        return value == null ? null : this.get(value);
+    }
+}
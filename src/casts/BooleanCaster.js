@@ -0,0 +1,32 @@
+import Caster from "./Caster";
+
+/**
+ * Casts attributes to booleans; the strings "false" and "0" are treated as false.
+ */
+export default class BooleanCaster extends Caster
+{
+    /**
+     * Converts a raw value into a boolean.
+     *
+     * @param {*} value
+     * @returns {Boolean|null}
+     */
+    get(value)
+    {
+        if(value == null) {
+            return null;
+        }
+        return value === 'false' || value === '0' ? false : Boolean(value);
+    }
+
+    /**
+     * Converts a value into a boolean.
+     *
+     * @param {*} value
+     * @returns {Boolean|null}
+     */
+    set(value)
+    {
+        return this.get(value);
+    }
+}
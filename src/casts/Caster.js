@@ -0,0 +1,35 @@
+/**
+ * A base caster class that all attribute casters will extend.
+ *
+ * A caster converts the raw value of an attribute, as it is sent and received by an api, into the value that is
+ * exposed by a model and back again. Custom casters can be used by extending this class and listing them in the
+ * "casts" map of a model.
+ */
+export default class Caster
+{
+    /**
+     * Converts a raw value into the value that is exposed by a model.
+     *
+     * @param {*} value
+     * @param {String} key
+     * @param {Model} model
+     * @returns {*}
+     */
+    get(value, key, model)
+    {
+        return value;
+    }
+
+    /**
+     * Converts a value into its raw form.
+     *
+     * @param {*} value
+     * @param {String} key
+     * @param {Model} model
+     * @returns {*}
+     */
+    set(value, key, model)
+    {
+        return value;
+    }
+}
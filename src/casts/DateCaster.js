@@ -0,0 +1,77 @@
+import Caster from "./Caster";
+
+/**
+ * The factory used by date casters that are not given their own.
+ *
+ * @type {Function|null}
+ */
+let default_factory = null;
+
+/**
+ * Casts attributes to dates.
+ *
+ * Native Date objects are used by default; a date library such as moment or dayjs can be used instead by providing
+ * its factory function, either globally using DateCaster.useFactory(moment) or when creating a caster.
+ */
+export default class DateCaster extends Caster
+{
+    /**
+     * Constructor.
+     *
+     * @param {Function} [factory=null] Creates a date object from a raw value.
+     */
+    constructor(factory = null)
+    {
+        super();
+
+        this.factory = factory;
+    }
+
+    /**
+     * Sets the factory used by date casters that are not given their own; pass null to use native dates.
+     *
+     * @param {Function|null} factory
+     */
+    static useFactory(factory)
+    {
+        default_factory = factory;
+    }
+
+    /**
+     * Converts a raw value into a date.
+     *
+     * @param {*} value
+     * @returns {*}
+     */
+    get(value)
+    {
+        if(value == null) {
+            return null;
+        }
+        let factory = this.factory != null ? this.factory : default_factory;
+        if(factory != null) {
+            return factory(value);
+        }
+        return value instanceof Date ? value : new Date(value);
+    }
+
+    /**
+     * Converts a date into a string.
+     *
+     * @param {*} value
+     * @returns {*}
+     */
+    set(value)
+    {
+        if(value == null || typeof value === 'string') {
+            return value;
+        }
+        if(typeof value.format === 'function') {
+            return value.format();
+        }
+        if(typeof value.toISOString === 'function') {
+            return value.toISOString();
+        }
+        return value;
+    }
+}
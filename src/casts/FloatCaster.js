@@ -0,0 +1,33 @@
+import Caster from "./Caster";
+
+/**
+ * Casts attributes to floating point numbers.
+ */
+export default class FloatCaster extends Caster
+{
+    /**
+     * Converts a raw value into a float.
+     *
+     * @param {*} value
+     * @returns {Number|null}
+     */
+    get(value)
+    {
+        if(value == null || value === '') {
+            return null;
+        }
+        let float = parseFloat(value);
+        return isNaN(float) ? null : float;
+    }
+
+    /**
+     * Converts a value into a float.
+     *
+     * @param {*} value
+     * @returns {Number|null}
+     */
+    set(value)
+    {
+        return this.get(value);
+    }
+}
@@ -0,0 +1,33 @@
+import Caster from "./Caster";
+
+/**
+ * Casts attributes to integers.
+ */
+export default class IntegerCaster extends Caster
+{
+    /**
+     * Converts a raw value into an integer.
+     *
+     * @param {*} value
+     * @returns {int|null}
+     */
+    get(value)
+    {
+        if(value == null || value === '') {
+            return null;
+        }
+        let integer = parseInt(value, 10);
+        return isNaN(integer) ? null : integer;
+    }
+
+    /**
+     * Converts a value into an integer.
+     *
+     * @param {*} value
+     * @returns {int|null}
+     */
+    set(value)
+    {
+        return this.get(value);
+    }
+}
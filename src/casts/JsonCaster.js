@@ -0,0 +1,52 @@
+import Caster from "./Caster";
+
+/**
+ * Casts attributes that are sent and received as json strings to the values that they encode.
+ *
+ * The value of an attribute is decoded each time that it is read, so changes must be made by assigning a new value
+ * rather than by modifying the value that is read.
+ */
+export default class JsonCaster extends Caster
+{
+    /**
+     * Decodes a json string.
+     *
+     * @param {*} value
+     * @returns {*}
+     */
+    get(value)
+    {
+        return isJson(value) ? JSON.parse(value) : value;
+    }
+
+    /**
+     * Encodes a value as a json string; strings are always encoded, so that a string such as "true" is read back as
+     * the same string rather than the value that it contains.
+     *
+     * @param {*} value
+     * @returns {String|null}
+     */
+    set(value)
+    {
+        return value == null ? value : JSON.stringify(value);
+    }
+}
+
+/**
+ * Determines whether a value is a json string.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isJson(value)
+{
+    if(typeof value !== 'string') {
+        return false;
+    }
+    try {
+        JSON.parse(value);
+        return true;
+    } catch(exception) {
+        return false;
+    }
+}
@@ -0,0 +1,89 @@
+import QueueStore from "./QueueStore";
+
+/**
+ * A store that persists an offline queue in IndexedDB, as a single record of an object store.
+ */
+export default class IndexedDBQueueStore extends QueueStore
+{
+    /**
+     * Constructor.
+     *
+     * @param {String} [database="js_model"] The name of the database.
+     * @param {String} [store="offline_queue"] The name of the object store.
+     * @param {IDBFactory} [factory=null] Defaults to the global indexedDB.
+     */
+    constructor(database = 'js_model', store = 'offline_queue', factory = null)
+    {
+        super();
+
+        this.database = database;
+        this.store = store;
+        this.factory = factory;
+        this.connection = null;
+    }
+
+    /**
+     * Loads the state of the queue.
+     *
+     * @returns {Promise}
+     */
+    load()
+    {
+        return this._transaction('readonly', (store) => store.get('state'))
+            .then((state) => state !== undefined ? state : null);
+    }
+
+    /**
+     * Stores the state of the queue.
+     *
+     * @param {{entries: Array, remaps: Object}} state
+     * @returns {Promise}
+     */
+    save(state)
+    {
+        return this._transaction('readwrite', (store) => store.put(state, 'state')).then(() => undefined);
+    }
+
+    /**
+     * Runs a request against the object store in a transaction.
+     *
+     * @param {String} mode
+     * @param {Function} request Passed the object store; returns an IDBRequest.
+     * @returns {Promise} Resolves with the result of the request once the transaction completes.
+     * @private
+     */
+    _transaction(mode, request)
+    {
+        return this._connect().then((connection) => new Promise((resolve, reject) => {
+            let transaction = connection.transaction(this.store, mode);
+            let pending = request(transaction.objectStore(this.store));
+            transaction.oncomplete = () => resolve(pending.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    /**
+     * Opens the database, creating the object store if it does not exist.
+     *
+     * @returns {Promise}
+     * @private
+     */
+    _connect()
+    {
+        if(this.connection == null) {
+            this.connection = new Promise((resolve, reject) => {
+                let factory = this.factory != null ? this.factory : self.indexedDB;
+                let opening = factory.open(this.database, 1);
+                opening.onupgradeneeded = () => {
+                    if(!opening.result.objectStoreNames.contains(this.store)) {
+                        opening.result.createObjectStore(this.store);
+                    }
+                };
+                opening.onsuccess = () => resolve(opening.result);
+                opening.onerror = () => reject(opening.error);
+            });
+        }
+        return this.connection;
+    }
+}
@@ -0,0 +1,59 @@
+import QueueStore from "./QueueStore";
+
+/**
+ * A store that persists an offline queue as json in localStorage.
+ */
+export default class LocalStorageQueueStore extends QueueStore
+{
+    /**
+     * Constructor.
+     *
+     * @param {String} [key="js_model.offline_queue"] The key that the queue is stored under.
+     * @param {Storage} [storage=null] Defaults to the global localStorage.
+     */
+    constructor(key = 'js_model.offline_queue', storage = null)
+    {
+        super();
+
+        this.key = key;
+        this.storage = storage;
+    }
+
+    /**
+     * Loads the state of the queue.
+     *
+     * @returns {Promise}
+     */
+    load()
+    {
+        return new Promise((resolve) => {
+            let json = this._storage().getItem(this.key);
+            resolve(json != null ? JSON.parse(json) : null);
+        });
+    }
+
+    /**
+     * Stores the state of the queue.
+     *
+     * @param {{entries: Array, remaps: Object}} state
+     * @returns {Promise}
+     */
+    save(state)
+    {
+        return new Promise((resolve) => {
+            this._storage().setItem(this.key, JSON.stringify(state));
+            resolve();
+        });
+    }
+
+    /**
+     * Gets the storage that the queue is kept in.
+     *
+     * @returns {Storage}
+     * @private
+     */
+    _storage()
+    {
+        return this.storage != null ? this.storage : self.localStorage;
+    }
+}
@@ -0,0 +1,40 @@
+import QueueStore from "./QueueStore";
+import clone from 'clone';
+
+/**
+ * A store that keeps an offline queue in memory; the queue does not survive the page being reloaded.
+ */
+export default class MemoryQueueStore extends QueueStore
+{
+    /**
+     * Constructor.
+     */
+    constructor()
+    {
+        super();
+
+        this.state = null;
+    }
+
+    /**
+     * Loads the state of the queue.
+     *
+     * @returns {Promise}
+     */
+    load()
+    {
+        return Promise.resolve(clone(this.state));
+    }
+
+    /**
+     * Stores the state of the queue.
+     *
+     * @param {{entries: Array, remaps: Object}} state
+     * @returns {Promise}
+     */
+    save(state)
+    {
+        this.state = clone(state);
+        return Promise.resolve();
+    }
+}
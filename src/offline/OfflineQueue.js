@@ -0,0 +1,397 @@
+import MemoryQueueStore from "./MemoryQueueStore";
+import JsModelException from "../JsModelException";
+import clone from 'clone';
+
+/**
+ * A queue of the write requests (inserts, updates, deletes, restores and force deletes) that are made while the api
+ * cannot be reached, which are persisted in a store and replayed in order once connectivity returns.
+ *
+ * Models that are inserted while offline are given a temporary key; once their insert has been replayed, the
+ * temporary key is replaced with the key assigned by the api in the requests that are still queued and in the model
+ * instances that are tracked by the queue.
+ *
+ * Each queued request is replayed in the same way as the requests of the model that it was made for are sent, through
+ * its transport, middleware, retry policy, status handlers and response cache; models register themselves with the
+ * queue when they make a write, while a queue that is loaded from a persisted store can have its models registered
+ * (see register) before it is replayed.
+ */
+export default class OfflineQueue
+{
+    /**
+     * Constructor.
+     *
+     * @param {QueueStore} [store=null] Defaults to a MemoryQueueStore.
+     * @param {Function} [send=null] Sends a queued request and returns a promise of its response, formatted
+     * {status, headers, data}, or rejects with a HttpException; used for the requests of models that have not been
+     * registered.
+     */
+    constructor(store = null, send = null)
+    {
+        this.store = store != null ? store : new MemoryQueueStore();
+        this.send = send;
+        this.senders = new Map();
+        this.listeners = [];
+        this.models = new Map();
+        this.pending = 0;
+        this.replaying = null;
+        this.tasks = Promise.resolve();
+
+        // Requests that were persisted before the page was loaded still have to be replayed first.
+        this.ready = this._update(() => null).then((state) => {
+            this.pending += state.entries.length;
+            return this;
+        }, () => this);
+
+        this.online_listener = () => this.drain();
+        if(typeof self !== 'undefined' && typeof self.addEventListener === 'function') {
+            self.addEventListener('online', this.online_listener);
+        }
+    }
+
+    /**
+     * Stops the queue from replaying its requests when the browser comes back online; a queue that is no longer used
+     * should be disposed of so that it can be garbage collected.
+     *
+     * @returns {OfflineQueue}
+     */
+    dispose()
+    {
+        if(typeof self !== 'undefined' && typeof self.removeEventListener === 'function') {
+            self.removeEventListener('online', this.online_listener);
+        }
+        return this;
+    }
+
+    /**
+     * Registers a model (or a model class), so that the requests queued for it are replayed in the same way as its
+     * other requests are sent; requests are matched to models by the url of the model.
+     *
+     * @param {Model|Function} model
+     * @returns {OfflineQueue}
+     */
+    register(model)
+    {
+        if(typeof model === 'function') {
+            model = new model();
+        }
+        // Sent without the queue of the model, so that a replayed request is not queued again.
+        this.senders.set(model.url, (request) => model.query()._send(request.method, request.url, request.data));
+        return this;
+    }
+
+    /**
+     * Registers a listener for an event that is fired by the queue; an "error" event is fired, with the exception,
+     * when the queue cannot be replayed in the background.
+     *
+     * @param {String} event
+     * @param {Function} listener
+     * @returns {OfflineQueue}
+     */
+    on(event, listener)
+    {
+        this.listeners.push({event: event, listener: listener});
+        return this;
+    }
+
+    /**
+     * Removes the listeners for an event; all of the listeners are removed when no event is given.
+     *
+     * @param {String} [event=null]
+     * @param {Function} [listener=null] A specific listener to remove.
+     * @returns {OfflineQueue}
+     */
+    off(event = null, listener = null)
+    {
+        this.listeners = this.listeners.filter((registration) => {
+            return !((event == null || registration.event === event)
+                && (listener == null || registration.listener === listener));
+        });
+        return this;
+    }
+
+    /**
+     * Determines whether the api can be reached, as far as the browser knows.
+     *
+     * @returns {Boolean}
+     */
+    isOnline()
+    {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Determines whether any requests are waiting to be replayed; new writes are queued behind them so that the order
+     * of the writes is kept. Requests that were persisted by an earlier page are only counted once the queue is ready
+     * (see the "ready" promise, which resolves with the queue once its store has been loaded).
+     *
+     * @returns {Boolean}
+     */
+    hasPending()
+    {
+        return this.pending > 0;
+    }
+
+    /**
+     * Generates a temporary key for a model that is inserted while offline.
+     *
+     * @returns {String}
+     */
+    temporaryId()
+    {
+        return 'tmp-' + Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 10);
+    }
+
+    /**
+     * Determines whether a key is a temporary key.
+     *
+     * @param {*} key
+     * @returns {Boolean}
+     */
+    isTemporaryId(key)
+    {
+        return typeof key === 'string' && key.indexOf('tmp-') === 0;
+    }
+
+    /**
+     * Tracks a model that has a temporary key, so that its key is replaced once its insert has been replayed.
+     *
+     * @param {Model} model
+     * @returns {OfflineQueue}
+     */
+    track(model)
+    {
+        this.models.set(model.getKey(), model);
+        return this;
+    }
+
+    /**
+     * Adds a request to the queue.
+     *
+     * @param {Object} entry The request, formatted {method, url, data, action, model}, where model is the url of the
+     * model it was made for, along with the temporary_id and the key_name it was assigned to for an insert.
+     * @returns {Promise} Resolves with the entry once it has been persisted.
+     */
+    push(entry)
+    {
+        this.pending += 1;
+        return this._update((state) => {
+            entry = Object.assign({}, entry, {
+                id: state.entries.reduce((id, queued) => Math.max(id, queued.id), 0) + 1
+            });
+            state.entries.push(entry);
+        }).then(() => entry);
+    }
+
+    /**
+     * Replaces the temporary keys in the url and data of a request with the keys that the api has assigned to them.
+     *
+     * @param {{url: String, data: *}} request
+     * @returns {Promise} Resolves with a copy of the request.
+     */
+    resolveKeys(request)
+    {
+        return this._update(() => null).then((state) => remap(request, state.remaps));
+    }
+
+    /**
+     * Gets the requests that are waiting to be replayed.
+     *
+     * @returns {Promise} Resolves with an array of entries.
+     */
+    entries()
+    {
+        return this._update(() => null).then((state) => clone(state.entries));
+    }
+
+    /**
+     * Replays the queued requests in order.
+     *
+     * Replaying stops at the first request that cannot reach the api, or that receives a 5xx response, so that it can
+     * be tried again later; requests that receive any other unsuccessful response are removed from the queue and
+     * reported as failures.
+     *
+     * @returns {Promise} Resolves with {replayed, failed, remaining}; the failures are formatted {entry, response}.
+     */
+    replay()
+    {
+        if(this.replaying != null) {
+            return this.replaying;
+        }
+
+        let report = {replayed: 0, failed: [], remaining: 0};
+        let step = () => this._update(() => null).then((state) => {
+            if(state.entries.length === 0) {
+                return report;
+            }
+            let entry = remap(state.entries[0], state.remaps);
+            let request = {
+                method: entry.method,
+                url: entry.url,
+                headers: { Accept: "application/json" },
+                data: entry.data
+            };
+            if(entry.temporary_id != null) {
+                // The api assigns the key of a model that was inserted with a temporary key.
+                request.data = Object.assign({}, entry.data);
+                delete request.data[entry.key_name];
+            }
+            let send = this.senders.has(entry.model) ? this.senders.get(entry.model) : this.send;
+            if(send == null) {
+                throw new JsModelException(`Cannot replay a request for "${entry.model}"; no sender is registered!`);
+            }
+            let received = (response) => {
+                if(response.status >= 500) {
+                    report.remaining = state.entries.length;
+                    return report;
+                }
+                if(response.status < 200 || response.status >= 300) {
+                    report.failed.push({entry: entry, response: response});
+                } else {
+                    report.replayed += 1;
+                }
+                return this._completed(entry, response).then(step);
+            };
+            return send(request).then(received, (exception) => {
+                // Exceptions without a response are raised for requests that could not reach the api.
+                if(exception != null && exception.response != null) {
+                    return received(exception.response);
+                }
+                report.remaining = state.entries.length;
+                return report;
+            });
+        });
+
+        let finish = () => {
+            this.replaying = null;
+        };
+        this.replaying = step().then((report) => {
+            finish();
+            return report;
+        }, (exception) => {
+            finish();
+            throw exception;
+        });
+        return this.replaying;
+    }
+
+    /**
+     * Replays the queued requests in the background; a failure to replay them fires the "error" event rather than
+     * rejecting.
+     *
+     * @returns {Promise} Resolves with the report of the replay, or null when it failed.
+     */
+    drain()
+    {
+        return this.replay().catch((exception) => {
+            let listeners = this.listeners.filter((registration) => registration.event === 'error');
+            for(let i=0; i < listeners.length; ++i) {
+                listeners[i].listener(exception);
+            }
+            return null;
+        });
+    }
+
+    /**
+     * Removes a replayed request from the queue, recording the key that the api assigned to a model that was inserted
+     * with a temporary key; the response is merged into the tracked instance of such a model, so that it has the
+     * attributes that the api set while any changes that have been made to it since are kept.
+     *
+     * @param {Object} entry
+     * @param {Object} response
+     * @returns {Promise}
+     * @private
+     */
+    _completed(entry, response)
+    {
+        let key = null;
+        let data = null;
+        if(entry.temporary_id != null && response.status >= 200 && response.status < 300) {
+            data = response.data != null && response.data.data != null && !(response.data.data instanceof Array)
+                ? response.data.data
+                : response.data;
+            key = data != null ? data[entry.key_name] : null;
+        }
+        this.pending = Math.max(0, this.pending - 1);
+        return this._update((state) => {
+            state.entries = state.entries.filter((queued) => queued.id !== entry.id);
+            if(key != null) {
+                state.remaps[entry.temporary_id] = key;
+            }
+        }).then(() => {
+            let model = key != null ? this.models.get(entry.temporary_id) : null;
+            if(model != null) {
+                model.setAttribute(entry.key_name, key);
+                model.original[entry.key_name] = key;
+                model.merge(data);
+                model.exists = true;
+                model.syncing = false;
+                this.models.delete(entry.temporary_id);
+                if(model.getIdentityMap() != null) {
+                    model.getIdentityMap().evict(model.constructor, entry.temporary_id).add(model);
+                }
+            }
+        });
+    }
+
+    /**
+     * Loads the state of the queue, applies a change to it and stores it; changes are applied one at a time.
+     *
+     * @param {Function} change Passed the state to modify; returning null leaves the stored state as it is.
+     * @returns {Promise} Resolves with the state.
+     * @private
+     */
+    _update(change)
+    {
+        this.tasks = this.tasks.then(() => this.store.load()).then((state) => {
+            state = state != null ? state : {entries: [], remaps: {}};
+            if(change(state) === null) {
+                return state;
+            }
+            return this.store.save(state).then(() => state);
+        });
+        let task = this.tasks;
+        this.tasks = task.catch(() => null);
+        return task;
+    }
+}
+
+/**
+ * Replaces the temporary keys in the url and data of a queued request with the keys that the api has assigned.
+ *
+ * @param {Object} entry
+ * @param {Object} remaps Server keys keyed by temporary key.
+ * @returns {Object}
+ */
+function remap(entry, remaps)
+{
+    let url = entry.url;
+    for(let temporary in remaps) {
+        url = url.split(temporary).join(encodeURIComponent(remaps[temporary]));
+    }
+    return Object.assign({}, entry, {url: url, data: remapValue(entry.data, remaps)});
+}
+
+/**
+ * Replaces temporary keys within a value.
+ *
+ * @param {*} value
+ * @param {Object} remaps
+ * @returns {*}
+ */
+function remapValue(value, remaps)
+{
+    if(typeof value === 'string') {
+        return remaps.hasOwnProperty(value) ? remaps[value] : value;
+    }
+    if(value instanceof Array) {
+        return value.map((item) => remapValue(item, remaps));
+    }
+    if(value != null && typeof value === 'object') {
+        let remapped = {};
+        for(let key in value) {
+            remapped[key] = remapValue(value[key], remaps);
+        }
+        return remapped;
+    }
+    return value;
+}
@@ -0,0 +1,31 @@
+import JsModelException from "../JsModelException";
+
+/**
+ * A base class for the stores that persist an offline queue.
+ *
+ * A store holds the state of a queue, formatted {entries, remaps}: the queued requests in order and the server keys
+ * that temporary keys have been replaced with.
+ */
+export default class QueueStore
+{
+    /**
+     * Loads the state of the queue.
+     *
+     * @returns {Promise} Resolves with the state, or null if nothing has been stored.
+     */
+    load()
+    {
+        return Promise.reject(new JsModelException(`Queue store "${this.constructor.name}" does not implement the load method!`));
+    }
+
+    /**
+     * Stores the state of the queue.
+     *
+     * @param {{entries: Array, remaps: Object}} state
+     * @returns {Promise}
+     */
+    save(state)
+    {
+        return Promise.reject(new JsModelException(`Queue store "${this.constructor.name}" does not implement the save method!`));
+    }
+}
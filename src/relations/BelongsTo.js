@@ -0,0 +1,118 @@
+import Relation from "./Relation";
+import settle from "../support/settle";
+
+/**
+ * A relation where the parent model holds a foreign key to the model that owns it.
+ */
+export default class BelongsTo extends Relation
+{
+    /**
+     * Constructor.
+     *
+     * @param {Model} parent The model that the relation belongs to.
+     * @param {Model} related An instance of the owning model.
+     * @param {String} foreign_key The attribute of the parent model that holds the key of the owning model.
+     * @param {String} owner_key The attribute of the owning model that the foreign key refers to.
+     */
+    constructor(parent, related, foreign_key, owner_key)
+    {
+        super(parent, related, foreign_key, owner_key);
+    }
+
+    /**
+     * Constrains the query to the model that owns the parent model.
+     */
+    addConstraints()
+    {
+        this.where(this.local_key, this.parent.attributes[this.foreign_key]);
+    }
+
+    /**
+     * Gets the attribute of the parent model that related models are matched on.
+     *
+     * @returns {String}
+     * @protected
+     */
+    _parentKeyName()
+    {
+        return this.foreign_key;
+    }
+
+    /**
+     * Gets the attribute of a related model that is matched against the parent model.
+     *
+     * @returns {String}
+     * @protected
+     */
+    _relatedKeyName()
+    {
+        return this.local_key;
+    }
+
+    /**
+     * Converts the related models that have been matched to a parent model into the value of the relation.
+     *
+     * @param {Array} models
+     * @returns {Model|null}
+     * @protected
+     */
+    _matched(models)
+    {
+        return models.length > 0 ? models[0] : null;
+    }
+
+    /**
+     * Converts nested payload data into a related model instance.
+     *
+     * @param {*} data
+     * @returns {Model|null}
+     */
+    hydrateRelated(data)
+    {
+        return data != null && typeof data === 'object' && !(data instanceof Array)
+            ? this.encapsulateData([data])[0]
+            : null;
+    }
+
+    /**
+     * Associates the parent model with an owning model by setting its foreign key.
+     *
+     * @param {Model} model
+     * @returns {Model} The parent model.
+     */
+    associate(model)
+    {
+        this.parent.setAttribute(this.foreign_key, model.attributes[this.local_key]);
+        if(this.name != null) {
+            this.parent.setRelation(this.name, model);
+        }
+        return this.parent;
+    }
+
+    /**
+     * Sets the foreign key of the parent model to an owning model once the owning model has been saved.
+     *
+     * @param {Model} model
+     * @param {Function} [success]
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with the owning model once it has been saved.
+     */
+    save(model, success, error)
+    {
+        return settle(model.save().then(() => {
+            this.associate(model);
+            return [model];
+        }), success, error);
+    }
+
+    /**
+     * Creates a new instance of the owning model.
+     *
+     * @param {Object} [attributes={}]
+     * @returns {Model}
+     */
+    make(attributes = {})
+    {
+        return this.newModel(attributes);
+    }
+}
@@ -0,0 +1,9 @@
+import Relation from "./Relation";
+
+/**
+ * A relation where the parent model owns many related models, each of which holds a foreign key to the parent.
+ */
+export default class HasMany extends Relation
+{
+
+}
@@ -0,0 +1,32 @@
+import Relation from "./Relation";
+
+/**
+ * A relation where the parent model owns a single related model, which holds a foreign key to the parent.
+ */
+export default class HasOne extends Relation
+{
+    /**
+     * Converts nested payload data into a related model instance.
+     *
+     * @param {*} data
+     * @returns {Model|null}
+     */
+    hydrateRelated(data)
+    {
+        return data != null && typeof data === 'object' && !(data instanceof Array)
+            ? this.encapsulateData([data])[0]
+            : null;
+    }
+
+    /**
+     * Converts the related models that have been matched to a parent model into the value of the relation.
+     *
+     * @param {Array} models
+     * @returns {Model|null}
+     * @protected
+     */
+    _matched(models)
+    {
+        return models.length > 0 ? models[0] : null;
+    }
+}
@@ -0,0 +1,181 @@
+import Builder from "../Builder";
+
+/**
+ * A base relation class that all relations will extend.
+ *
+ * A relation is a query builder for the models that are related to a parent model; it is constrained to the related
+ * models when it is created and so can be chained like any other query.
+ */
+export default class Relation extends Builder
+{
+    /**
+     * Constructor.
+     *
+     * @param {Model} parent The model that the relation belongs to.
+     * @param {Model} related An instance of the related model.
+     * @param {String} foreign_key
+     * @param {String} local_key
+     */
+    constructor(parent, related, foreign_key, local_key)
+    {
+        super(related);
+
+        this.parent = parent;
+        this.related = related;
+        this.foreign_key = foreign_key;
+        this.local_key = local_key;
+
+        /**
+         * The name of the method that defines the relation on the parent model; set when a relation is resolved from
+         * its name.
+         *
+         * @type {String|null}
+         */
+        this.name = null;
+
+        this.addConstraints();
+    }
+
+    /**
+     * Constrains the query to the models that are related to the parent model.
+     */
+    addConstraints()
+    {
+        this.where(this.foreign_key, this.parent.attributes[this.local_key]);
+    }
+
+    /**
+     * Converts nested payload data into related model instances.
+     *
+     * @param {*} data
+     * @returns {*}
+     */
+    hydrateRelated(data)
+    {
+        let items = data instanceof Array ? data : (data != null && data['data'] instanceof Array ? data['data'] : null);
+        return items == null ? null : this.model.newCollection(this.encapsulateData(items.slice()));
+    }
+
+    /**
+     * Loads the relation for a set of parent models using a single query for all of their related models.
+     *
+     * @param {Array} parents
+     * @param {Array} [nested=[]] Relationships of the related models that should be loaded as well.
+     * @param {AbortSignal|null} [signal=null] Aborts the query for the related models.
+     * @returns {Promise} Resolves with the parent models once the relation has been set on each of them.
+     */
+    eagerLoadInto(parents, nested = [], signal = null)
+    {
+        let keys = [];
+        for(let i=0; i < parents.length; ++i) {
+            let key = parents[i].attributes[this._parentKeyName()];
+            if(key != null && keys.indexOf(key) === -1) {
+                keys.push(key);
+            }
+        }
+
+        let results = keys.length === 0
+            ? Promise.resolve([])
+            : this.related.query()
+                .whereIn(this._relatedKeyName(), keys)
+                .withoutPagination()
+                .eagerLoadUsing('separate')
+                .with(nested)
+                .withSignal(signal)
+                .get()
+                .then(function (collection) {
+                    let models = [];
+                    collection.each((key, model) => {
+                        models.push(model);
+                    });
+                    return models;
+                });
+
+        return results.then((models) => {
+            for(let i=0; i < parents.length; ++i) {
+                let key = parents[i].attributes[this._parentKeyName()];
+                let matches = models.filter((model) => key != null && model.attributes[this._relatedKeyName()] == key);
+                parents[i].setRelation(this.name, this._matched(matches));
+            }
+            return parents;
+        });
+    }
+
+    /**
+     * Gets the attribute of the parent model that related models are matched on.
+     *
+     * @returns {String}
+     * @protected
+     */
+    _parentKeyName()
+    {
+        return this.local_key;
+    }
+
+    /**
+     * Gets the attribute of a related model that is matched against the parent model.
+     *
+     * @returns {String}
+     * @protected
+     */
+    _relatedKeyName()
+    {
+        return this.foreign_key;
+    }
+
+    /**
+     * Converts the related models that have been matched to a parent model into the value of the relation.
+     *
+     * @param {Array} models
+     * @returns {*}
+     * @protected
+     */
+    _matched(models)
+    {
+        return this.model.newCollection(models);
+    }
+
+    /**
+     * Creates a new instance of the related model with its foreign key set to the parent model.
+     *
+     * @param {Object} [attributes={}]
+     * @returns {Model}
+     */
+    make(attributes = {})
+    {
+        let model = this.newModel(attributes);
+        model.setAttribute(this.foreign_key, this.parent.attributes[this.local_key]);
+        return model;
+    }
+
+    /**
+     * Sets the foreign key of a related model to the parent model and then saves it.
+     *
+     * @param {Model} model
+     * @param {Function} [success]
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with the related model once it has been saved.
+     */
+    save(model, success, error)
+    {
+        model.setAttribute(this.foreign_key, this.parent.attributes[this.local_key]);
+        return model.save(success, error);
+    }
+
+    /**
+     * Creates and saves a new related model.
+     *
+     * @param {Object} attributes
+     * @param {Function} [success]
+     * @param {Function} [error]
+     * @returns {Promise} Resolves with the related model once it has been saved.
+     */
+    create(attributes, success, error)
+    {
+        let model = this.newModel({});
+        for(let key in attributes) {
+            model.setAttribute(key, attributes[key]);
+        }
+        return this.save(model, success, error);
+    }
+}
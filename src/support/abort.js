@@ -0,0 +1,55 @@
+/**
+ * Combines a set of abort signals into a single signal that is aborted when any of them is.
+ *
+ * @param {Array} signals Signals to combine; null entries are ignored.
+ * @returns {AbortSignal|null} Null when there are no signals to combine.
+ */
+export function anySignal(signals)
+{
+    signals = signals.filter((signal) => signal != null);
+    if(signals.length < 2) {
+        return signals.length === 1 ? signals[0] : null;
+    }
+    let controller = new AbortController();
+    for(let i=0; i < signals.length; ++i) {
+        if(signals[i].aborted) {
+            controller.abort();
+        } else {
+            signals[i].addEventListener('abort', () => controller.abort());
+        }
+    }
+    return controller.signal;
+}
+
+/**
+ * Wraps a promise so that it rejects as soon as an abort signal is aborted, regardless of whether the promise settles.
+ *
+ * @param {Promise} promise
+ * @param {AbortSignal|null} signal
+ * @param {Function} reason Creates the value that the promise is rejected with when the signal is aborted.
+ * @returns {Promise}
+ */
+export function abortable(promise, signal, reason)
+{
+    if(signal == null) {
+        return promise;
+    }
+    return new Promise(function (resolve, reject) {
+        let abort = () => reject(reason());
+        if(signal.aborted) {
+            abort();
+            return;
+        }
+        signal.addEventListener('abort', abort);
+        promise.then(
+            function (value) {
+                signal.removeEventListener('abort', abort);
+                resolve(value);
+            },
+            function (exception) {
+                signal.removeEventListener('abort', abort);
+                reject(exception);
+            }
+        );
+    });
+}
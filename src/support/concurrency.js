@@ -0,0 +1,27 @@
+/**
+ * Calls a function for each of a set of items, with no more than a limited number of the promises that it returns
+ * waiting at once.
+ *
+ * The function should handle its own failures; the returned promise rejects as soon as any of its promises does.
+ *
+ * @param {Array} items
+ * @param {int} limit
+ * @param {Function} callback Passed each item; returns a value or a promise.
+ * @returns {Promise} Resolves once every item has been processed.
+ */
+export default function eachLimit(items, limit, callback)
+{
+    let index = 0;
+    let work = function () {
+        if(index >= items.length) {
+            return Promise.resolve();
+        }
+        let item = items[index++];
+        return Promise.resolve(callback(item)).then(work);
+    };
+    let workers = [];
+    for(let i=0; i < Math.max(1, Math.min(limit, items.length)); ++i) {
+        workers.push(work());
+    }
+    return Promise.all(workers);
+}
@@ -0,0 +1,123 @@
+/**
+ * Determines whether two values are structurally equal; objects and arrays are compared by their contents and dates
+ * by their time.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean}
+ */
+export function isEqual(a, b)
+{
+    if(a === b) {
+        return true;
+    }
+    if(a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    if(a instanceof Array && b instanceof Array) {
+        if(a.length !== b.length) {
+            return false;
+        }
+        for(let i=0; i < a.length; ++i) {
+            if(!isEqual(a[i], b[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+    if(isObject(a) && isObject(b) && !(a instanceof Array) && !(b instanceof Array)) {
+        let keys = Object.keys(a);
+        if(keys.length !== Object.keys(b).length) {
+            return false;
+        }
+        for(let i=0; i < keys.length; ++i) {
+            if(!b.hasOwnProperty(keys[i]) || !isEqual(a[keys[i]], b[keys[i]])) {
+                return false;
+            }
+        }
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Generates the JSON Patch (RFC 6902) operations that transform one value into another.
+ *
+ * @param {*} from
+ * @param {*} to
+ * @param {String} [path=''] The JSON Pointer of the values being compared.
+ * @returns {Array}
+ */
+export function diff(from, to, path = '')
+{
+    if(isEqual(from, to)) {
+        return [];
+    }
+
+    let operations = [];
+    if(from instanceof Array && to instanceof Array) {
+        let shared = Math.min(from.length, to.length);
+        for(let i=0; i < shared; ++i) {
+            operations = operations.concat(diff(from[i], to[i], `${path}/${i}`));
+        }
+        for(let i=shared; i < to.length; ++i) {
+            operations.push({op: 'add', path: `${path}/${i}`, value: to[i]});
+        }
+        // Remove from the end so that the indexes of the remaining items are not shifted.
+        for(let i=from.length - 1; i >= shared; --i) {
+            operations.push({op: 'remove', path: `${path}/${i}`});
+        }
+    } else if(isPlainObject(from) && isPlainObject(to)) {
+        for(let key in from) {
+            if(from.hasOwnProperty(key) && !to.hasOwnProperty(key)) {
+                operations.push({op: 'remove', path: `${path}/${escape(key)}`});
+            }
+        }
+        for(let key in to) {
+            if(!to.hasOwnProperty(key)) {
+                continue;
+            }
+            if(from.hasOwnProperty(key)) {
+                operations = operations.concat(diff(from[key], to[key], `${path}/${escape(key)}`));
+            } else {
+                operations.push({op: 'add', path: `${path}/${escape(key)}`, value: to[key]});
+            }
+        }
+    } else {
+        operations.push({op: 'replace', path: path, value: to});
+    }
+    return operations;
+}
+
+/**
+ * Escapes a key for use within a JSON Pointer.
+ *
+ * @param {String} key
+ * @returns {String}
+ */
+export function escape(key)
+{
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Determines whether a value is an object.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isObject(value)
+{
+    return value != null && typeof value === 'object';
+}
+
+/**
+ * Determines whether a value is an object that is neither an array nor a date.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isPlainObject(value)
+{
+    return isObject(value) && !(value instanceof Array) && !(value instanceof Date);
+}
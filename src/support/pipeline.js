@@ -0,0 +1,23 @@
+/**
+ * Composes a list of middleware around a function that sends a request.
+ *
+ * Each middleware is passed the request and a next function that passes a request on to the rest of the pipeline and
+ * returns a promise of its response; it returns a response (or a promise of one), which it may have modified, or a
+ * synthetic response without calling next at all. The first middleware in the list is the outermost.
+ *
+ * @param {Array} middleware
+ * @param {Function} destination Sends a request and returns a promise of its response.
+ * @returns {Function} Sends a request through the pipeline and returns a promise of its response.
+ */
+export default function pipeline(middleware, destination)
+{
+    let dispatch = function (index, request) {
+        if(index >= middleware.length) {
+            return destination(request);
+        }
+        return new Promise(function (resolve) {
+            resolve(middleware[index](request, (request) => dispatch(index + 1, request)));
+        });
+    };
+    return (request) => dispatch(0, request);
+}
@@ -0,0 +1,51 @@
+/**
+ * Registers a value against a class within a registry.
+ *
+ * @param {Map} registry
+ * @param {Function} constructor
+ * @param {*} value
+ */
+export function register(registry, constructor, value)
+{
+    if(!registry.has(constructor)) {
+        registry.set(constructor, []);
+    }
+    registry.get(constructor).push(value);
+}
+
+/**
+ * Removes the values registered against a class that match a predicate.
+ *
+ * @param {Map} registry
+ * @param {Function} constructor
+ * @param {Function} predicate
+ */
+export function unregister(registry, constructor, predicate)
+{
+    if(registry.has(constructor)) {
+        registry.set(constructor, registry.get(constructor).filter((value) => !predicate(value)));
+    }
+}
+
+/**
+ * Gets the values registered against a class and each of the classes that it extends, ordered from the base class
+ * down to the class itself.
+ *
+ * @param {Map} registry
+ * @param {Function} constructor
+ * @returns {Array}
+ */
+export function registered(registry, constructor)
+{
+    let chain = [];
+    for(let current = constructor; typeof current === 'function' && current !== Function.prototype; current = Object.getPrototypeOf(current)) {
+        chain.unshift(current);
+    }
+    let values = [];
+    for(let i=0; i < chain.length; ++i) {
+        if(registry.has(chain[i])) {
+            values = values.concat(registry.get(chain[i]));
+        }
+    }
+    return values;
+}
@@ -0,0 +1,53 @@
+/**
+ * Binds a pair of legacy success and error callbacks to a promise and returns a promise for the result.
+ *
+ * The given promise should resolve with an array of the arguments that the success callback expects. Error callbacks
+ * are passed the exception that the promise was rejected with along with its status code (where it has one). Callers
+ * that provide callbacks are not required to handle the rejection of the returned promise as well. Exceptions thrown
+ * by the callbacks do not affect the returned promise; they are rethrown as uncaught errors.
+ *
+ * @param {Promise} promise
+ * @param {Function} [success]
+ * @param {Function} [error]
+ * @param {Function} [result] Maps the success arguments to the value that the returned promise resolves with;
+ * defaults to the first argument.
+ * @returns {Promise}
+ */
+export default function settle(promise, success, error, result = (args) => args[0])
+{
+    let settled = promise.then(result);
+    if(typeof success == 'function' || typeof error == 'function') {
+        promise.then(
+            function (args) {
+                if(typeof success == 'function') {
+                    invoke(success, args);
+                }
+            },
+            function (exception) {
+                if(typeof error == 'function') {
+                    invoke(error, [exception, exception != null ? exception.status : undefined]);
+                }
+            }
+        );
+        settled.catch(() => null);
+    }
+    return settled;
+}
+
+/**
+ * Calls a callback; an exception that it throws is rethrown outside of the promise chain, so that it surfaces as an
+ * uncaught error (as it would from any other callback) rather than as an unhandled promise rejection.
+ *
+ * @param {Function} callback
+ * @param {Array} args
+ */
+function invoke(callback, args)
+{
+    try {
+        callback(...args);
+    } catch(exception) {
+        setTimeout(() => {
+            throw exception;
+        }, 0);
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * Converts a snake or kebab cased string to camel case.
+ *
+ * @param {String} value
+ * @returns {String}
+ */
+export function camelCase(value)
+{
+    return value.replace(/[_-]+([a-zA-Z0-9])/g, (match, character) => character.toUpperCase());
+}
+
+/**
+ * Converts a camel cased string to snake case.
+ *
+ * @param {String} value
+ * @returns {String}
+ */
+export function snakeCase(value)
+{
+    return value.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
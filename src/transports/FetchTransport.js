@@ -0,0 +1,118 @@
+import Transport from "./Transport";
+
+/**
+ * A transport that sends requests using the fetch api.
+ *
+ * Request bodies are form encoded in the same way as jQuery encodes them, so that a server receives the same data
+ * regardless of the transport that is used.
+ */
+export default class FetchTransport extends Transport
+{
+    /**
+     * Constructor.
+     *
+     * @param {Function} [fetch=null] The fetch implementation to use; defaults to the global fetch function.
+     */
+    constructor(fetch = null)
+    {
+        super();
+
+        this.fetch = fetch;
+    }
+
+    /**
+     * Sends a request.
+     *
+     * @param {{method: String, url: String, headers: Object, data: *, signal: AbortSignal|null}} request
+     * @returns {Promise}
+     */
+    send(request)
+    {
+        let fetch = this.fetch != null ? this.fetch : globalFetch();
+        let url = request.url;
+        let headers = Object.assign({}, request.headers);
+        let body = undefined;
+
+        if(request.data != null) {
+            let encoded = encode(request.data);
+            if(request.method.toUpperCase() === 'GET') {
+                url += (url.indexOf('?') === -1 ? '?' : '&') + encoded;
+            } else {
+                headers['Content-Type'] = 'application/x-www-form-urlencoded; charset=UTF-8';
+                body = encoded;
+            }
+        }
+
+        let options = {method: request.method, headers: headers, body: body, credentials: 'same-origin'};
+        if(request.signal != null) {
+            options.signal = request.signal;
+        }
+
+        return fetch(url, options)
+            .then((response) => response.text().then((text) => {
+                let headers = {};
+                response.headers.forEach((value, name) => {
+                    headers[name.toLowerCase()] = value;
+                });
+                return {status: response.status, headers: headers, data: parseBody(text)};
+            }));
+    }
+}
+
+/**
+ * Gets the global fetch function.
+ *
+ * @returns {Function}
+ */
+function globalFetch()
+{
+    let scope = typeof self !== 'undefined' ? self : (typeof global !== 'undefined' ? global : window);
+    return scope.fetch.bind(scope);
+}
+
+/**
+ * Parses a response body as json; bodies that are not valid json are returned as is.
+ *
+ * @param {String} text
+ * @returns {*}
+ */
+function parseBody(text)
+{
+    if(text === '') {
+        return null;
+    }
+    try {
+        return JSON.parse(text);
+    } catch(e) {
+        return text;
+    }
+}
+
+/**
+ * Form encodes a set of data using the same format as jQuery.param.
+ *
+ * @param {*} data
+ * @param {String} [prefix=null]
+ * @returns {String}
+ */
+function encode(data, prefix = null)
+{
+    let pairs = [];
+    if(data instanceof Array) {
+        for(let i=0; i < data.length; ++i) {
+            let nested = data[i] != null && typeof data[i] === 'object';
+            let key = prefix == null ? String(i) : `${prefix}[${nested ? i : ''}]`;
+            pairs.push(encode(data[i], key));
+        }
+    } else if(data != null && typeof data === 'object' && !(data instanceof Date)) {
+        for(let key in data) {
+            if(data.hasOwnProperty(key) && data[key] !== undefined) {
+                pairs.push(encode(data[key], prefix == null ? key : `${prefix}[${key}]`));
+            }
+        }
+    } else {
+        let value = data == null ? '' : (data instanceof Date ? data.toISOString() : data);
+        return `${encodeURIComponent(prefix)}=${encodeURIComponent(value)}`;
+    }
+    return pairs.filter((pair) => pair !== '').join('&');
+}
@@ -0,0 +1,72 @@
+import Transport from "./Transport";
+import jQuery from 'jquery';
+
+/**
+ * A transport that sends requests using jQuery.ajax.
+ */
+export default class JQueryTransport extends Transport
+{
+    /**
+     * Constructor.
+     *
+     * @param {Function} [instance=jQuery] The jQuery instance that should be used to send requests.
+     */
+    constructor(instance = jQuery)
+    {
+        super();
+
+        this.jQuery = instance;
+    }
+
+    /**
+     * Sends a request.
+     *
+     * @param {{method: String, url: String, headers: Object, data: *, signal: AbortSignal|null}} request
+     * @returns {Promise}
+     */
+    send(request)
+    {
+        return new Promise((resolve, reject) => {
+            let xhr = this.jQuery.ajax({
+                headers: request.headers,
+                dataType: 'json',
+                method: request.method,
+                url: request.url,
+                data: request.data,
+                complete: function (xhr) {
+                    if(xhr.status === 0) {
+                        reject(new Error(`Unable to reach "${request.url}"`));
+                    } else {
+                        resolve({
+                            status: xhr.status,
+                            headers: parseHeaders(xhr.getAllResponseHeaders()),
+                            data: xhr.responseJSON != null ? xhr.responseJSON : null
+                        });
+                    }
+                }
+            });
+            if(request.signal != null) {
+                request.signal.addEventListener('abort', () => xhr.abort());
+            }
+        });
+    }
+}
+
+/**
+ * Parses a raw header string into an object keyed by lower case header names.
+ *
+ * @param {String} raw
+ * @returns {Object}
+ */
+function parseHeaders(raw)
+{
+    let headers = {};
+    let lines = (raw || '').split(/\r?\n/);
+    for(let i=0; i < lines.length; ++i) {
+        let index = lines[i].indexOf(':');
+        if(index > 0) {
+            headers[lines[i].substring(0, index).trim().toLowerCase()] = lines[i].substring(index + 1).trim();
+        }
+    }
+    return headers;
+}
@@ -0,0 +1,112 @@
+import Transport from "./Transport";
+import clone from 'clone';
+
+/**
+ * A transport that responds to requests from memory; useful for testing and for prototyping without a server.
+ *
+ * Every request that is sent is recorded so that it can be inspected afterwards.
+ */
+export default class MemoryTransport extends Transport
+{
+    /**
+     * Constructor.
+     */
+    constructor()
+    {
+        super();
+
+        /**
+         * @type {Array}
+         */
+        this.routes = [];
+
+        /**
+         * @type {Array}
+         */
+        this.requests = [];
+    }
+
+    /**
+     * Registers a response for a method and url.
+     *
+     * A url can be given as a string (which matches the url with or without its query string), a regular expression
+     * or a function that is passed the request. A response can be given as an object formatted {status, headers, data}
+     * or as a function that is passed the request and returns a response or a promise of one.
+     *
+     * @param {String} method The http method to match, or "*" to match any method.
+     * @param {String|RegExp|Function} url
+     * @param {Object|Function} response
+     * @returns {MemoryTransport}
+     */
+    on(method, url, response)
+    {
+        this.routes.push({method: method.toUpperCase(), url: url, response: response});
+        return this;
+    }
+
+    /**
+     * Sends a request; requests that do not match a registered route receive a 404 response.
+     *
+     * @param {{method: String, url: String, headers: Object, data: *, signal: AbortSignal|null}} request
+     * @returns {Promise}
+     */
+    send(request)
+    {
+        this.requests.push(request);
+
+        if(request.signal != null && request.signal.aborted) {
+            return Promise.reject(new Error(`Request to "${request.url}" was aborted`));
+        }
+
+        let route = null;
+        for(let i=0; i < this.routes.length && route == null; ++i) {
+            if(matches(this.routes[i], request)) {
+                route = this.routes[i];
+            }
+        }
+
+        if(route == null) {
+            return Promise.resolve({status: 404, headers: {}, data: null});
+        }
+
+        // Responses are copied, as their payloads are modified when the results are hydrated and a route can respond
+        // to many requests.
+        return Promise.resolve(typeof route.response === 'function' ? route.response(request) : route.response)
+            .then((response) => ({
+                status: response.status != null ? response.status : 200,
+                headers: response.headers != null ? clone(response.headers) : {},
+                data: response.data !== undefined ? clone(response.data) : null
+            }));
+    }
+
+    /**
+     * Gets the last request that was sent.
+     *
+     * @returns {Object|null}
+     */
+    lastRequest()
+    {
+        return this.requests.length > 0 ? this.requests[this.requests.length - 1] : null;
+    }
+}
+
+/**
+ * Determines whether a route matches a request.
+ *
+ * @param {{method: String, url: *}} route
+ * @param {{method: String, url: String}} request
+ * @returns {Boolean}
+ */
+function matches(route, request)
+{
+    if(route.method !== '*' && route.method !== request.method.toUpperCase()) {
+        return false;
+    }
+    if(route.url instanceof RegExp) {
+        return route.url.test(request.url);
+    }
+    if(typeof route.url === 'function') {
+        return route.url(request) == true;
+    }
+    return route.url === request.url || route.url === request.url.split('?')[0];
+}
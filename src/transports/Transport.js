@@ -0,0 +1,25 @@
+import JsModelException from "../JsModelException";
+
+/**
+ * A base transport class that all transports will extend.
+ *
+ * A transport is responsible for sending the requests that are built by a query builder and for resolving them as a
+ * plain response object; this allows the package to be used with any http client.
+ */
+export default class Transport
+{
+    /**
+     * Sends a request.
+     *
+     * The returned promise should resolve for any response that is received (regardless of its status code) and
+     * should only reject when a response could not be received at all. Transports should abort a request when its
+     * signal is aborted, where they are able to.
+     *
+     * @param {{method: String, url: String, headers: Object, data: *, signal: AbortSignal|null}} request
+     * @returns {Promise} Resolves with a response formatted {status, headers, data}
+     */
+    send(request)
+    {
+        throw new JsModelException(`Transport "${this.constructor.name}" does not implement the send method!`);
+    }
+}